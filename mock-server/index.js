@@ -0,0 +1,430 @@
+/**
+ * Local stand-in for the No-Crop backend, for developing and demoing the UI
+ * without the real server. Uploads are kept in memory and "processing" returns
+ * the uploaded bytes with the metadata the real server would report.
+ *
+ * Run with `npm run mock`, then start the app with the default
+ * VITE_API_BASE_URL (http://localhost:3000).
+ *
+ * Switches, set as MOCK_* env vars at startup or at runtime with
+ * `curl -X POST localhost:3000/__mock/config -d '{"failChunk": 2}'`:
+ *   latency         extra delay in ms before every response
+ *   failRate        0..1 chance that any API call answers 500
+ *   failChunk       chunk index that fails (503) ...
+ *   failChunkTimes  ... this many times per upload before it succeeds
+ *   expireUploads   answer 404 for every known upload, like an expired session
+ *   offline         drop connections without answering, like a server that is down
+ *   maxFileSize     uploads above this size are rejected with 413
+ *   processDelay    time in ms that /api/process and /api/layout/process take
+ */
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { parseMultipart } from './multipart.js';
+import { getImageSize } from './imageSize.js';
+import { createZip } from './zip.js';
+
+const PORT = Number(process.env.MOCK_PORT) || 3000;
+const RESULT_TTL = 60 * 60 * 1000; // 1 hour, like the real server
+
+const envNumber = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+};
+
+const DEFAULT_CONFIG = {
+  latency: envNumber('MOCK_LATENCY', 0),
+  failRate: envNumber('MOCK_FAIL_RATE', 0),
+  failChunk: envNumber('MOCK_FAIL_CHUNK', null),
+  failChunkTimes: envNumber('MOCK_FAIL_CHUNK_TIMES', 1),
+  expireUploads: process.env.MOCK_EXPIRE_UPLOADS === 'true',
+  offline: process.env.MOCK_OFFLINE === 'true',
+  maxFileSize: envNumber('MOCK_MAX_FILE_SIZE', 200 * 1024 * 1024),
+  processDelay: envNumber('MOCK_PROCESS_DELAY', 800),
+};
+
+let config = { ...DEFAULT_CONFIG };
+const uploads = new Map();
+const results = new Map();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+};
+
+const readJson = async (req) => {
+  const body = await readBody(req);
+  return body.length > 0 ? JSON.parse(body.toString()) : {};
+};
+
+const getUpload = (res, uploadId) => {
+  const upload = uploads.get(uploadId);
+  if (!upload || config.expireUploads) {
+    sendJson(res, 404, { error: 'Upload not found or expired' });
+    return null;
+  }
+  return upload;
+};
+
+const getCompletedUpload = (res, uploadId) => {
+  const upload = getUpload(res, uploadId);
+  if (upload && !upload.buffer) {
+    sendJson(res, 400, { error: 'Upload is not complete' });
+    return null;
+  }
+  return upload;
+};
+
+/**
+ * Same canvas size as the real server (see calculatePaddedCanvas in the app):
+ * grow to the ratio with room for the margin, or use exactly `body.size`
+ */
+const getPaddedSize = (size, body) => {
+  if (size && body.size?.width > 0 && body.size?.height > 0) {
+    return { width: body.size.width, height: body.size.height };
+  }
+  if (!size) return size;
+
+  let targetRatio = size.width / size.height;
+  if (body.ratio && body.ratio !== 'original') {
+    const [w, h] = String(body.ratio).split(':').map(Number);
+    if (w > 0 && h > 0) targetRatio = w / h;
+  }
+
+  const marginValue = Math.max(0, Number(body.margin?.value) || 0);
+  const isPercent = body.margin?.unit === '%';
+  const marginPx = isPercent ? 0 : Math.round(marginValue);
+  const percentShare = isPercent
+    ? (2 * Math.min(marginValue, 40) * Math.min(targetRatio, 1)) / 100
+    : 0;
+
+  const exactHeight = Math.max(
+    (size.width + 2 * marginPx) / (targetRatio - percentShare),
+    (size.height + 2 * marginPx) / (1 - percentShare)
+  );
+  return { width: Math.round(exactHeight * targetRatio), height: Math.round(exactHeight) };
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', avif: 'avif' };
+
+/**
+ * Requested output format, the mock does not re-encode so only names and metadata follow it
+ */
+const getOutputFormat = (body, fallback) => {
+  const format = body.output?.format;
+  return EXTENSIONS[format] ? format : fallback;
+};
+
+const storeResult = (buffer, filename, format) => {
+  const id = randomUUID().replace(/-/g, '');
+  results.set(id, {
+    buffer,
+    filename,
+    contentType: `image/${format || 'jpeg'}`,
+    expiresAt: Date.now() + RESULT_TTL,
+  });
+  return id;
+};
+
+const routes = {
+  'GET /health': (req, res) => {
+    sendJson(res, 200, {
+      status: 'ok',
+      mock: true,
+      limits: {
+        maxFileSize: config.maxFileSize,
+        supportedFormats: ['jpeg', 'png'],
+        features: ['zip'],
+      },
+    });
+  },
+
+  'POST /api/upload/init': async (req, res) => {
+    const { filename, totalChunks, fileSize } = await readJson(req);
+
+    if (!filename || !(totalChunks > 0)) {
+      return sendJson(res, 400, { error: 'filename and totalChunks are required' });
+    }
+    if (fileSize > config.maxFileSize) {
+      return sendJson(res, 413, { error: `File exceeds ${config.maxFileSize} bytes` });
+    }
+
+    const uploadId = randomUUID();
+    uploads.set(uploadId, {
+      filename,
+      totalChunks,
+      fileSize,
+      chunks: new Map(),
+      failures: 0,
+      buffer: null,
+      expiresAt: Date.now() + RESULT_TTL,
+    });
+    sendJson(res, 200, { uploadId, filename, totalChunks });
+  },
+
+  'POST /api/upload/chunk': async (req, res) => {
+    const fields = parseMultipart(await readBody(req), req.headers['content-type']);
+    const upload = getUpload(res, fields.uploadId);
+    if (!upload) return;
+
+    const chunkIndex = Number(fields.chunkIndex);
+    if (!Buffer.isBuffer(fields.chunk) || !(chunkIndex >= 0 && chunkIndex < upload.totalChunks)) {
+      return sendJson(res, 400, { error: 'Invalid chunk' });
+    }
+
+    if (chunkIndex === config.failChunk && upload.failures < config.failChunkTimes) {
+      upload.failures++;
+      return sendJson(res, 503, { error: `Injected failure for chunk ${chunkIndex}` });
+    }
+
+    upload.chunks.set(chunkIndex, fields.chunk);
+    sendJson(res, 200, {
+      uploadId: fields.uploadId,
+      chunkIndex,
+      receivedChunks: upload.chunks.size,
+      totalChunks: upload.totalChunks,
+    });
+  },
+
+  'POST /api/upload/complete': async (req, res) => {
+    const { uploadId } = await readJson(req);
+    const upload = getUpload(res, uploadId);
+    if (!upload) return;
+
+    if (upload.chunks.size !== upload.totalChunks) {
+      return sendJson(res, 400, {
+        error: `Missing chunks: received ${upload.chunks.size} of ${upload.totalChunks}`,
+      });
+    }
+
+    const ordered = Array.from({ length: upload.totalChunks }, (_, i) => upload.chunks.get(i));
+    upload.buffer = Buffer.concat(ordered);
+    upload.chunks.clear();
+
+    sendJson(res, 200, {
+      uploadId,
+      filename: upload.filename,
+      size: upload.buffer.length,
+    });
+  },
+
+  'DELETE /api/upload/:id': (req, res, params) => {
+    if (!uploads.delete(params.id)) {
+      return sendJson(res, 404, { error: 'Upload not found' });
+    }
+    sendJson(res, 200, { success: true, uploadId: params.id });
+  },
+
+  'POST /api/process': async (req, res) => {
+    const body = await readJson(req);
+    const upload = getCompletedUpload(res, body.uploadId);
+    if (!upload) return;
+
+    await wait(config.processDelay);
+
+    const source = getImageSize(upload.buffer);
+    const size = getPaddedSize(source, body) || { width: 0, height: 0 };
+    const baseName = (body.filename || upload.filename).replace(/\.[^.]+$/, '');
+    const format = getOutputFormat(body, source?.format === 'png' ? 'png' : 'jpeg');
+    const filename = `${baseName}_nocrop.${EXTENSIONS[format]}`;
+    const id = storeResult(upload.buffer, filename, source?.format);
+
+    sendJson(res, 200, {
+      success: true,
+      filename,
+      downloadUrl: `/api/process/download/${id}`,
+      metadata: {
+        width: size.width,
+        height: size.height,
+        size: upload.buffer.length,
+        format,
+      },
+      expiresIn: '1 hour',
+    });
+  },
+
+  'POST /api/layout/process': async (req, res) => {
+    const body = await readJson(req);
+    if (!Array.isArray(body.images) || body.images.length < 2) {
+      return sendJson(res, 400, { error: 'At least 2 images are required' });
+    }
+
+    const sources = [];
+    for (const image of body.images) {
+      const upload = getCompletedUpload(res, image.uploadId);
+      if (!upload) return;
+      sources.push(upload);
+    }
+
+    await wait(config.processDelay);
+
+    // No compositing here, the first image stands in for the collage
+    const size = body.dimensions || { width: 1200, height: 1200 };
+    const format = getOutputFormat(body, 'jpeg');
+    const filename = `layout_${Date.now()}.${EXTENSIONS[format]}`;
+    const id = storeResult(sources[0].buffer, filename, getImageSize(sources[0].buffer)?.format);
+
+    sendJson(res, 200, {
+      success: true,
+      filename,
+      downloadUrl: `/api/process/download/${id}`,
+      metadata: {
+        width: size.width,
+        height: size.height,
+        size: sources[0].buffer.length,
+        format,
+      },
+      expiresIn: '1 hour',
+    });
+  },
+
+  'GET /api/process/download/:id': (req, res, params) => {
+    const result = results.get(params.id);
+    if (!result || result.expiresAt < Date.now()) {
+      return sendJson(res, 404, { error: 'File not found or expired' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': result.contentType,
+      'Content-Length': result.buffer.length,
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+    });
+    res.end(result.buffer);
+  },
+
+  'POST /api/process/zip': async (req, res) => {
+    const { downloadUrls } = await readJson(req);
+    if (!Array.isArray(downloadUrls) || downloadUrls.length === 0) {
+      return sendJson(res, 400, { error: 'downloadUrls is required' });
+    }
+
+    const usedNames = new Set();
+    const files = [];
+    for (const url of downloadUrls) {
+      const result = results.get(url.split('/').pop());
+      if (!result) {
+        return sendJson(res, 404, { error: `File not found or expired: ${url}` });
+      }
+
+      let name = result.filename;
+      for (let i = 2; usedNames.has(name); i++) {
+        name = result.filename.replace(/(\.[^.]*)?$/, ` (${i})$1`);
+      }
+      usedNames.add(name);
+      files.push({ name, buffer: result.buffer });
+    }
+
+    const zip = createZip(files);
+    res.writeHead(200, {
+      'Content-Type': 'application/zip',
+      'Content-Length': zip.length,
+      'Content-Disposition': 'attachment; filename="results.zip"',
+    });
+    res.end(zip);
+  },
+
+  'GET /__mock/config': (req, res) => {
+    sendJson(res, 200, config);
+  },
+
+  'POST /__mock/config': async (req, res) => {
+    config = { ...config, ...(await readJson(req)) };
+    console.log('Mock config updated:', config);
+    sendJson(res, 200, config);
+  },
+
+  'POST /__mock/reset': (req, res) => {
+    config = { ...DEFAULT_CONFIG };
+    uploads.clear();
+    results.clear();
+    sendJson(res, 200, config);
+  },
+};
+
+const matchRoute = (method, pathname) => {
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    if (routeMethod !== method) continue;
+
+    const routeParts = routePath.split('/');
+    const pathParts = pathname.split('/');
+    if (routeParts.length !== pathParts.length) continue;
+
+    const params = {};
+    const matches = routeParts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+        return true;
+      }
+      return part === pathParts[i];
+    });
+
+    if (matches) return { handler, params };
+  }
+  return null;
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const isControl = pathname.startsWith('/__mock/');
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (config.offline && !isControl) {
+    req.socket.destroy();
+    return;
+  }
+
+  if (!isControl) {
+    await wait(config.latency);
+
+    if (Math.random() < config.failRate) {
+      return sendJson(res, 500, { error: 'Injected server error' });
+    }
+  }
+
+  const route = matchRoute(req.method, pathname);
+  if (!route) {
+    return sendJson(res, 404, { error: `No mock route for ${req.method} ${pathname}` });
+  }
+
+  try {
+    await route.handler(req, res, route.params);
+  } catch (error) {
+    console.error(error);
+    sendJson(res, 500, { error: error.message });
+  }
+});
+
+// Drop abandoned uploads and expired results
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, upload] of uploads) {
+    if (upload.expiresAt < now) uploads.delete(id);
+  }
+  for (const [id, result] of results) {
+    if (result.expiresAt < now) results.delete(id);
+  }
+}, 60 * 1000).unref();
+
+server.listen(PORT, () => {
+  console.log(`Mock API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,35 @@
+/**
+ * Minimal multipart/form-data parser, enough for the chunk upload form
+ */
+export const parseMultipart = (body, contentType) => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) return {};
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  let position = body.indexOf(boundary);
+
+  while (position !== -1) {
+    const partStart = position + boundary.length + 2; // skip CRLF
+    const next = body.indexOf(boundary, partStart);
+    if (next === -1) break;
+
+    const part = body.subarray(partStart, next - 2); // drop trailing CRLF
+    const headerEnd = part.indexOf('\r\n\r\n');
+
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString();
+      const name = /name="([^"]+)"/i.exec(headers)?.[1];
+      const isFile = /filename="/i.test(headers);
+      const content = part.subarray(headerEnd + 4);
+
+      if (name) {
+        fields[name] = isFile ? content : content.toString();
+      }
+    }
+
+    position = next;
+  }
+
+  return fields;
+};
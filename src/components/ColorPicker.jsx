@@ -0,0 +1,71 @@
+import { useState } from 'react';
+import './ColorPicker.css';
+import { parseColor, toHexColor } from '../utils/colorUtils';
+
+/**
+ * Color input with an opacity slider and a text field that accepts
+ * #RRGGBB, #RRGGBBAA, rgb() and rgba().
+ * `onChange` fires while dragging, `onCommit` once a value is settled.
+ * Values are emitted as #RRGGBB, or #RRGGBBAA when not fully opaque.
+ */
+function ColorPicker({ value, onChange, onCommit = onChange, disabled }) {
+  const rgb = parseColor(value) || { r: 0, g: 0, b: 0, a: 1 };
+  const opaqueHex = toHexColor({ ...rgb, a: 1 });
+  const [draft, setDraft] = useState(null);
+
+  const fromPicker = (e) => toHexColor({ ...parseColor(e.target.value), a: rgb.a });
+  const fromAlpha = (e) => toHexColor({ ...rgb, a: Number(e.target.value) / 100 });
+
+  const handleDraftCommit = () => {
+    const parsed = parseColor(draft);
+    setDraft(null);
+    if (parsed) {
+      const next = toHexColor(parsed);
+      onChange(next);
+      onCommit(next);
+    }
+  };
+
+  return (
+    <div className="color-picker">
+      <div className="color-input-wrapper">
+        <input
+          type="color"
+          className="color-input"
+          value={opaqueHex}
+          onChange={(e) => onChange(fromPicker(e))}
+          onMouseUp={(e) => onCommit(fromPicker(e))}
+          onBlur={(e) => onCommit(fromPicker(e))}
+          disabled={disabled}
+        />
+        <input
+          type="text"
+          className="color-hex color-picker-text"
+          value={draft ?? value.toUpperCase()}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={handleDraftCommit}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          disabled={disabled}
+          aria-label="Color value"
+          spellCheck={false}
+        />
+      </div>
+      <label className="color-picker-alpha">
+        <span>Opacity {Math.round(rgb.a * 100)}%</span>
+        <input
+          type="range"
+          min="0"
+          max="100"
+          value={Math.round(rgb.a * 100)}
+          onChange={(e) => onChange(fromAlpha(e))}
+          onMouseUp={(e) => onCommit(fromAlpha(e))}
+          onTouchEnd={(e) => onCommit(fromAlpha(e))}
+          onKeyUp={(e) => onCommit(fromAlpha(e))}
+          disabled={disabled}
+        />
+      </label>
+    </div>
+  );
+}
+
+export default ColorPicker;
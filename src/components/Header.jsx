@@ -1,9 +1,19 @@
 import { Link, useLocation } from 'react-router-dom';
 import './Header.css';
+import { useConnection } from '../hooks/useConnection';
+import { CONNECTION_STATUS, refreshConnection } from '../services/connection';
+
+const STATUS_LABELS = {
+  [CONNECTION_STATUS.CHECKING]: 'Checking server...',
+  [CONNECTION_STATUS.ONLINE]: 'Server online',
+  [CONNECTION_STATUS.SERVER_OFFLINE]: 'Server offline',
+  [CONNECTION_STATUS.BROWSER_OFFLINE]: 'You are offline',
+};
 
 function Header() {
   const location = useLocation();
   const isHome = location.pathname === '/';
+  const { status, lastChecked } = useConnection();
 
   return (
     <header className="app-header">
@@ -26,6 +36,18 @@ function Header() {
             Layout Creator
           </Link>
           <div className="header-actions">
+            <button
+              className={`connection-status ${status}`}
+              onClick={() => refreshConnection()}
+              title={
+                lastChecked
+                  ? `Last checked ${new Date(lastChecked).toLocaleTimeString()} - click to check again`
+                  : 'Click to check again'
+              }
+            >
+              <span className="connection-dot" />
+              <span className="connection-label">{STATUS_LABELS[status]}</span>
+            </button>
             <a
               href="https://github.com/hiro2k-dev"
               target="_blank"
@@ -0,0 +1,77 @@
+import './MetadataSettings.css';
+import { METADATA_FIELDS, METADATA_MODES } from '../utils/metadataPolicy';
+
+/**
+ * Keep, strip or selectively keep source metadata. `value` is the
+ * `metadataPolicy` object sent to the server. `localOnly` explains that
+ * in-browser processing cannot carry metadata over, `convertedFiles` names
+ * images that were re-encoded before upload and have none left to keep.
+ */
+function MetadataSettings({ value, onChange, disabled, localOnly = false, convertedFiles = [] }) {
+  const handleModeChange = (mode) => {
+    // Start a selection from the privacy-friendly subset
+    const keep = mode === 'custom' && value.keep.length === 0 ? ['copyright'] : value.keep;
+    onChange({ mode, keep });
+  };
+
+  const handleFieldToggle = (field) => {
+    const keep = value.keep.includes(field)
+      ? value.keep.filter((item) => item !== field)
+      : [...value.keep, field];
+    onChange({ ...value, keep });
+  };
+
+  const keepsLocation = value.mode === 'keep' || (value.mode === 'custom' && value.keep.includes('gps'));
+  const keepsAny = value.mode === 'keep' || (value.mode === 'custom' && value.keep.length > 0);
+
+  return (
+    <div className="metadata-settings">
+      <select
+        className="metadata-settings-mode"
+        value={value.mode}
+        onChange={(e) => handleModeChange(e.target.value)}
+        disabled={disabled || localOnly}
+        aria-label="Metadata"
+      >
+        {METADATA_MODES.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {value.mode === 'custom' && !localOnly && (
+        <div className="metadata-settings-fields">
+          {METADATA_FIELDS.map((field) => (
+            <label key={field.value} className="metadata-settings-field">
+              <input
+                type="checkbox"
+                checked={value.keep.includes(field.value)}
+                onChange={() => handleFieldToggle(field.value)}
+                disabled={disabled}
+              />
+              <span>{field.label}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {localOnly ? (
+        <div className="metadata-settings-hint">Local processing always strips metadata</div>
+      ) : (
+        <>
+          {keepsLocation && (
+            <div className="metadata-settings-warning">Output will include the photo location</div>
+          )}
+          {keepsAny && convertedFiles.length > 0 && (
+            <div className="metadata-settings-warning">
+              Converted to a browser format, no metadata kept: {convertedFiles.join(', ')}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MetadataSettings;
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import './OutputSettings.css';
+import { OUTPUT_FORMATS, getOutputFormat } from '../utils/outputFormat';
+
+const toKilobytesInput = (maxFileSize) => (maxFileSize ? String(Math.round(maxFileSize / 1024)) : '');
+
+/**
+ * Format, quality and optional size target for the generated image.
+ * `value` is the `output` object sent to the server. `needsAlpha` warns when
+ * the chosen format would flatten transparent padding.
+ */
+function OutputSettings({ value, onChange, disabled, needsAlpha = false }) {
+  const [tempQuality, setTempQuality] = useState(Math.round(value.quality * 100));
+  const [tempMaxSize, setTempMaxSize] = useState(toKilobytesInput(value.maxFileSize));
+  const [shownMaxFileSize, setShownMaxFileSize] = useState(value.maxFileSize);
+  const format = getOutputFormat(value.format);
+
+  // A preset can set the size target from outside, show it in the input
+  if (value.maxFileSize !== shownMaxFileSize) {
+    setShownMaxFileSize(value.maxFileSize);
+    setTempMaxSize(toKilobytesInput(value.maxFileSize));
+  }
+
+  const handleQualityCommit = () => {
+    onChange({ ...value, quality: tempQuality / 100 });
+  };
+
+  const handleMaxSizeCommit = () => {
+    const kilobytes = Math.round(Number(tempMaxSize));
+    const maxFileSize = kilobytes > 0 ? kilobytes * 1024 : null;
+    setTempMaxSize(maxFileSize ? String(kilobytes) : '');
+    onChange({ ...value, maxFileSize });
+  };
+
+  return (
+    <div className="output-settings">
+      <div className="output-settings-row">
+        <select
+          className="output-settings-format"
+          value={format.value}
+          onChange={(e) => onChange({ ...value, format: e.target.value })}
+          disabled={disabled}
+          aria-label="Output format"
+        >
+          {OUTPUT_FORMATS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <label className="output-settings-max-size">
+          <span>Max</span>
+          <input
+            type="number"
+            min="1"
+            placeholder="—"
+            value={tempMaxSize}
+            onChange={(e) => setTempMaxSize(e.target.value)}
+            onBlur={handleMaxSizeCommit}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            disabled={disabled || !format.lossy}
+            aria-label="Maximum file size in KB"
+          />
+          <span>KB</span>
+        </label>
+      </div>
+
+      {format.lossy ? (
+        <label className="output-settings-quality">
+          <span>
+            Quality {tempQuality}%{value.maxFileSize ? ' (max, lowered to fit the size)' : ''}
+          </span>
+          <input
+            type="range"
+            min="30"
+            max="100"
+            value={tempQuality}
+            onChange={(e) => setTempQuality(Number(e.target.value))}
+            onMouseUp={handleQualityCommit}
+            onTouchEnd={handleQualityCommit}
+            onKeyUp={handleQualityCommit}
+            disabled={disabled}
+          />
+        </label>
+      ) : (
+        <div className="output-settings-hint">Lossless, keeps transparency</div>
+      )}
+
+      {needsAlpha && !format.alpha && (
+        <div className="output-settings-warning">
+          {format.label} has no transparency, the padding will be flattened
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OutputSettings;
@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import './PendingUploads.css';
+import { discardPendingUpload } from '../services/api';
+import { listUploadRecords } from '../services/uploadStore';
+
+/**
+ * Lists uploads interrupted by a reload or a network drop.
+ * Selecting the same file again resumes it from the last confirmed chunk.
+ */
+function PendingUploads({ refreshKey }) {
+  const [records, setRecords] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listUploadRecords()
+      .then((list) => {
+        if (!cancelled) setRecords(list);
+      })
+      .catch((err) => console.error('Failed to load pending uploads:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const handleDiscard = async (record) => {
+    await discardPendingUpload(record);
+    setRecords((prev) => prev.filter((r) => r.fingerprint !== record.fingerprint));
+  };
+
+  if (records.length === 0) return null;
+
+  return (
+    <div className="pending-uploads">
+      <div className="pending-uploads-title">Interrupted uploads</div>
+      <div className="pending-uploads-hint">
+        Select the same file again to resume where it stopped.
+      </div>
+      {records.map((record) => (
+        <div key={record.fingerprint} className="pending-upload-item">
+          <div className="pending-upload-name" title={record.filename}>
+            {record.filename}
+          </div>
+          <div className="pending-upload-progress">
+            {record.uploadedChunks.length}/{record.totalChunks} chunks
+          </div>
+          <button
+            className="pending-upload-discard"
+            onClick={() => handleDiscard(record)}
+            title="Discard"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PendingUploads;
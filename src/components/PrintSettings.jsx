@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import './PrintSettings.css';
+import { MAX_OUTPUT_DIMENSION } from '../utils/geometry';
+import { PRINT_SIZES, PRINT_UNITS, BLEED_OPTIONS, getPrintLayout } from '../utils/printSizes';
+
+const MAX_DPI = 1200;
+
+/**
+ * Print size, DPI, bleed and preview guides. `value` is a print object (see
+ * DEFAULT_PRINT). `localOnly` explains that in-browser processing cannot
+ * write the density into the file.
+ */
+function PrintSettings({ value, onChange, disabled, localOnly = false }) {
+  const [tempDpi, setTempDpi] = useState(String(value.dpi));
+  const [tempCustom, setTempCustom] = useState({
+    width: String(value.custom.width),
+    height: String(value.custom.height),
+  });
+  const { width, height } = getPrintLayout(value);
+
+  const handleDpiCommit = () => {
+    const dpi = Math.min(MAX_DPI, Math.round(Number(tempDpi)));
+    if (dpi > 0) {
+      onChange({ ...value, dpi });
+    }
+    setTempDpi(String(dpi > 0 ? dpi : value.dpi));
+  };
+
+  const handleCustomCommit = () => {
+    const custom = { ...value.custom };
+    ['width', 'height'].forEach((dimension) => {
+      const length = Number(tempCustom[dimension]);
+      if (length > 0) custom[dimension] = length;
+    });
+    setTempCustom({ width: String(custom.width), height: String(custom.height) });
+    onChange({ ...value, custom });
+  };
+
+  const commitOnEnter = (e) => {
+    if (e.key === 'Enter') e.target.blur();
+  };
+
+  return (
+    <div className="print-settings">
+      <div className="print-settings-row">
+        <select
+          className="print-settings-select"
+          value={value.sizeId}
+          onChange={(e) => onChange({ ...value, sizeId: e.target.value })}
+          disabled={disabled}
+          aria-label="Print size"
+        >
+          {PRINT_SIZES.map((size) => (
+            <option key={size.id} value={size.id}>
+              {size.label}
+            </option>
+          ))}
+          <option value="custom">Custom…</option>
+        </select>
+        <select
+          className="print-settings-select"
+          value={value.orientation}
+          onChange={(e) => onChange({ ...value, orientation: e.target.value })}
+          disabled={disabled}
+          aria-label="Orientation"
+        >
+          <option value="portrait">Portrait</option>
+          <option value="landscape">Landscape</option>
+        </select>
+      </div>
+
+      {value.sizeId === 'custom' && (
+        <div className="print-settings-row">
+          {['width', 'height'].map((dimension) => (
+            <input
+              key={dimension}
+              type="number"
+              className="print-settings-number"
+              min="0.1"
+              step="0.1"
+              value={tempCustom[dimension]}
+              onChange={(e) => setTempCustom((prev) => ({ ...prev, [dimension]: e.target.value }))}
+              onBlur={handleCustomCommit}
+              onKeyDown={commitOnEnter}
+              disabled={disabled}
+              aria-label={`Print ${dimension}`}
+            />
+          ))}
+          <select
+            className="print-settings-select"
+            value={value.custom.unit}
+            onChange={(e) => onChange({ ...value, custom: { ...value.custom, unit: e.target.value } })}
+            disabled={disabled}
+            aria-label="Print unit"
+          >
+            {PRINT_UNITS.map((unit) => (
+              <option key={unit} value={unit}>
+                {unit}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="print-settings-row">
+        <label className="print-settings-dpi">
+          <input
+            type="number"
+            className="print-settings-number"
+            min="1"
+            max={MAX_DPI}
+            value={tempDpi}
+            onChange={(e) => setTempDpi(e.target.value)}
+            onBlur={handleDpiCommit}
+            onKeyDown={commitOnEnter}
+            disabled={disabled}
+            aria-label="Dots per inch"
+          />
+          <span>DPI</span>
+        </label>
+        <select
+          className="print-settings-select"
+          value={value.bleed}
+          onChange={(e) => onChange({ ...value, bleed: Number(e.target.value) })}
+          disabled={disabled}
+          aria-label="Bleed"
+        >
+          {BLEED_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <label className="print-settings-toggle">
+        <input
+          type="checkbox"
+          checked={value.guides}
+          onChange={(e) => onChange({ ...value, guides: e.target.checked })}
+          disabled={disabled}
+        />
+        Show trim and safe-area guides
+      </label>
+
+      {Math.max(width, height) > MAX_OUTPUT_DIMENSION ? (
+        <div className="print-settings-warning">
+          {width} × {height} px is too large, lower the DPI or the size
+        </div>
+      ) : (
+        <div className="print-settings-hint">
+          {width} × {height} px{value.bleed > 0 && ' including bleed'}
+        </div>
+      )}
+
+      {localOnly && (
+        <div className="print-settings-hint">
+          Local processing cannot store the DPI in the file, set it when printing
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PrintSettings;
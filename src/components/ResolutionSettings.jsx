@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import './ResolutionSettings.css';
+import { MAX_OUTPUT_DIMENSION, MIN_LONG_EDGE } from '../utils/geometry';
+import { PRINT_UNITS } from '../utils/printSizes';
+
+const RESOLUTION_MODES = [
+  { value: 'long-edge', label: 'Long edge' },
+  { value: 'match-source', label: 'Match smallest source' },
+  { value: 'print', label: 'Print size' },
+];
+
+/**
+ * How large the layout is rendered. `value` is a resolution object (see
+ * DEFAULT_LAYOUT_RESOLUTION), `size` the resulting `{ width, height }` when known.
+ * `fixedBy` names what decides the size instead, like a preset.
+ */
+function ResolutionSettings({ value, onChange, size, disabled, fixedBy = null }) {
+  const fixedSize = Boolean(fixedBy);
+  const [tempLongEdge, setTempLongEdge] = useState(String(value.longEdge));
+  const [tempPrintLength, setTempPrintLength] = useState(String(value.printLength));
+  const [tempDpi, setTempDpi] = useState(String(value.dpi));
+
+  // Invalid entries snap back to the current value
+  const commitNumber = (key, temp, setTemp, min, max) => {
+    const number = Number(temp);
+    const next = number > 0 ? Math.min(max, Math.max(min, number)) : value[key];
+    setTemp(String(next));
+    if (next !== value[key]) {
+      onChange({ ...value, [key]: next });
+    }
+  };
+
+  const inputProps = (temp, setTemp, commit) => ({
+    type: 'number',
+    value: temp,
+    onChange: (e) => setTemp(e.target.value),
+    onBlur: commit,
+    onKeyDown: (e) => e.key === 'Enter' && e.target.blur(),
+    disabled: disabled || fixedSize,
+  });
+
+  return (
+    <div className="resolution-settings">
+      <select
+        className="resolution-settings-mode"
+        value={value.mode}
+        onChange={(e) => onChange({ ...value, mode: e.target.value })}
+        disabled={disabled || fixedSize}
+        aria-label="Resolution mode"
+      >
+        {RESOLUTION_MODES.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {value.mode === 'long-edge' && (
+        <label className="resolution-settings-row">
+          <input
+            {...inputProps(tempLongEdge, setTempLongEdge, () =>
+              commitNumber('longEdge', tempLongEdge, setTempLongEdge, MIN_LONG_EDGE, MAX_OUTPUT_DIMENSION)
+            )}
+            min={MIN_LONG_EDGE}
+            max={MAX_OUTPUT_DIMENSION}
+            aria-label="Long edge in pixels"
+          />
+          <span>px</span>
+        </label>
+      )}
+
+      {value.mode === 'print' && (
+        <div className="resolution-settings-row">
+          <input
+            {...inputProps(tempPrintLength, setTempPrintLength, () =>
+              commitNumber('printLength', tempPrintLength, setTempPrintLength, 0.1, 1000)
+            )}
+            min="0.1"
+            step="0.1"
+            aria-label="Print length of the long edge"
+          />
+          <select
+            value={value.printUnit}
+            onChange={(e) => onChange({ ...value, printUnit: e.target.value })}
+            disabled={disabled || fixedSize}
+            aria-label="Print unit"
+          >
+            {PRINT_UNITS.map((unit) => (
+              <option key={unit} value={unit}>
+                {unit}
+              </option>
+            ))}
+          </select>
+          <span>at</span>
+          <input
+            {...inputProps(tempDpi, setTempDpi, () => commitNumber('dpi', tempDpi, setTempDpi, 1, 1200))}
+            min="1"
+            max="1200"
+            aria-label="Dots per inch"
+          />
+          <span>DPI</span>
+        </div>
+      )}
+
+      {fixedSize ? (
+        <div className="resolution-settings-hint">Set by {fixedBy}</div>
+      ) : (
+        size && (
+          <div className="resolution-settings-hint">
+            {size.width} × {size.height} px
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+export default ResolutionSettings;
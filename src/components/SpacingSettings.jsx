@@ -0,0 +1,64 @@
+import './SpacingSettings.css';
+import ColorPicker from './ColorPicker';
+
+const SLIDERS = [
+  { key: 'gutter', label: 'Gutter', max: 100 },
+  { key: 'margin', label: 'Outer margin', max: 200 },
+  { key: 'radius', label: 'Corner radius', max: 100 },
+];
+
+const MAX_STROKE_WIDTH = 20;
+
+/**
+ * Gutters, outer margin, corner radius and cell outline of a layout.
+ * `value` is the `spacing` object sent to the server, all sizes in output pixels.
+ */
+function SpacingSettings({ value, onChange, disabled }) {
+  const handleStrokeChange = (changes) => {
+    onChange({ ...value, stroke: { ...value.stroke, ...changes } });
+  };
+
+  return (
+    <div className="spacing-settings">
+      {SLIDERS.map((slider) => (
+        <label key={slider.key} className="spacing-settings-slider">
+          <span>
+            {slider.label}: {value[slider.key]}px
+          </span>
+          <input
+            type="range"
+            min="0"
+            max={slider.max}
+            value={value[slider.key]}
+            onChange={(e) => onChange({ ...value, [slider.key]: Number(e.target.value) })}
+            disabled={disabled}
+          />
+        </label>
+      ))}
+
+      <label className="spacing-settings-slider">
+        <span>
+          Border: {value.stroke.width > 0 ? `${value.stroke.width}px` : 'None'}
+        </span>
+        <input
+          type="range"
+          min="0"
+          max={MAX_STROKE_WIDTH}
+          value={value.stroke.width}
+          onChange={(e) => handleStrokeChange({ width: Number(e.target.value) })}
+          disabled={disabled}
+        />
+      </label>
+
+      {value.stroke.width > 0 && (
+        <ColorPicker
+          value={value.stroke.color}
+          onChange={(color) => handleStrokeChange({ color })}
+          disabled={disabled}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SpacingSettings;
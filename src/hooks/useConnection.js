@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from 'react';
+import {
+  CONNECTION_STATUS,
+  getConnectionState,
+  subscribeConnection,
+} from '../services/connection';
+
+/**
+ * App-wide backend connection state: status, capabilities from /health
+ * and whether server features can be used right now
+ */
+export const useConnection = () => {
+  const state = useSyncExternalStore(subscribeConnection, getConnectionState);
+
+  return {
+    ...state,
+    isServerAvailable: state.status === CONNECTION_STATUS.ONLINE
+      || state.status === CONNECTION_STATUS.CHECKING,
+  };
+};
@@ -1,44 +1,163 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import './Layout.css';
-import { getContrastingBackground } from '../utils/colorUtils';
-import { uploadAndCreateLayout } from '../services/api';
-
-const RATIO_OPTIONS = [
+import { getPreviewBackgroundStyle, hasTransparency } from '../utils/colorUtils';
+import PendingUploads from '../components/PendingUploads';
+import OutputSettings from '../components/OutputSettings';
+import MetadataSettings from '../components/MetadataSettings';
+import ColorPicker from '../components/ColorPicker';
+import SpacingSettings from '../components/SpacingSettings';
+import ResolutionSettings from '../components/ResolutionSettings';
+import PrintSettings from '../components/PrintSettings';
+import {
+  DEFAULT_OUTPUT,
+  withOutputExtension,
+  withAlphaFormat,
+} from '../utils/outputFormat';
+import { DEFAULT_METADATA_POLICY } from '../utils/metadataPolicy';
+import { useConnection } from '../hooks/useConnection';
+import { refreshConnection } from '../services/connection';
+import {
+  validateImageFile,
+  getFileSizeError,
+  describeFormats,
+  ACCEPTED_INPUT_TYPES,
+  INPUT_ACCEPT,
+} from '../utils/fileValidation';
+import { prepareImageFile, needsConversion } from '../utils/imageDecoding';
+import { loadPreviewImage } from '../utils/imagePreview';
+import {
+  LAYOUT_TEMPLATES,
+  DEFAULT_LAYOUT_TEMPLATE,
+  getLayoutTemplate,
+  getTemplateCells,
+  getTemplateImageCount,
+} from '../utils/layoutTemplates';
+import {
+  DEFAULT_LAYOUT_SPACING,
+  DEFAULT_LAYOUT_RESOLUTION,
+  DEFAULT_IMAGE_SETTING,
+  MAX_OUTPUT_DIMENSION,
+  clampOffsets,
+  computeLayoutGeometry,
+  getCellIndexAt,
+  getUpscaledCells,
+} from '../utils/geometry';
+import { renderLayout } from '../utils/layoutRenderer';
+import {
+  DEFAULT_PRINT,
+  MIN_PRINT_DPI,
+  getPrintLayout,
+  getPrintMetadata,
+  getCanvasPrintMetadata,
+  getEffectiveDpi,
+  drawPrintGuides,
+} from '../utils/printSizes';
+import {
+  renderLayoutLocally,
+  PROCESSING_MODES,
+  getStoredProcessingMode,
+  storeProcessingMode,
+} from '../utils/localProcessing';
+import {
+  RATIO_OPTIONS,
+  getPreset,
+  getStoredPreset,
+  storePreset,
+  getPresetGroups,
+  getPresetLabel,
+  getPresetWarnings,
+  getPresetOutputWarnings,
+  withPresetOutput,
+} from '../utils/presets';
+import {
+  uploadAndCreateLayout,
+  isAbortError,
+  getErrorMessage,
+  canRetry,
+  API_ERROR_CODES,
+} from '../services/api';
+
+const LAYOUT_RATIO_OPTIONS = [
   { label: 'Fit All', value: 'fit-all' },
-  { label: 'Original', value: 'original' },
-  { label: '4:5', value: '4:5' },
-  { label: '1:1', value: '1:1' },
-  { label: '16:9', value: '16:9' },
-  { label: '3:2', value: '3:2' },
-  { label: '21:9', value: '21:9' },
+  ...RATIO_OPTIONS,
+  { label: 'Print', value: 'print' },
 ];
 
-const LAYOUT_TYPES = {
-  TWO_HORIZONTAL: { label: 'Side by Side', value: '2-horizontal', imageCount: 2 },
-  TWO_VERTICAL: { label: 'Top & Bottom', value: '2-vertical', imageCount: 2 },
-  THREE_ROW: { label: '3 in a Row', value: '3-row', imageCount: 3 },
-  THREE_COLUMN: { label: '3 in a Column', value: '3-column', imageCount: 3 },
-  THREE_LEFT: { label: '1 Left + 2 Right', value: '3-left', imageCount: 3 },
-  THREE_RIGHT: { label: '2 Left + 1 Right', value: '3-right', imageCount: 3 },
-};
+const PRESET_GROUPS = getPresetGroups();
+
+// Preview is drawn at this width at most, positions are kept in output pixels
+const MAX_PREVIEW_WIDTH = 600;
+// Cached images are decoded at this long edge, enough for zooming on HiDPI screens
+const PREVIEW_IMAGE_EDGE = MAX_PREVIEW_WIDTH * 2;
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+// Zoom factor per pixel of wheel scroll
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
 function Layout() {
   const [selectedFiles, setSelectedFiles] = useState([]);
-  const [layoutType, setLayoutType] = useState('2-horizontal');
-  const [ratio, setRatio] = useState('fit-all');
+  const [layoutType, setLayoutType] = useState(DEFAULT_LAYOUT_TEMPLATE.id);
+  // A preset picked on either page carries over, it sets ratio and output size here
+  const [preset, setPreset] = useState(getStoredPreset);
+  const [ratio, setRatio] = useState(() => getStoredPreset()?.ratio || 'fit-all');
+  // Platform limit warnings for the last downloaded layout
+  const [presetWarnings, setPresetWarnings] = useState([]);
   const [color, setColor] = useState('#FFFFFF');
-  const [imageSettings, setImageSettings] = useState([]);
-  const [previewUrl, setPreviewUrl] = useState(null);
+  const [spacing, setSpacing] = useState(DEFAULT_LAYOUT_SPACING);
+  const [resolution, setResolution] = useState(DEFAULT_LAYOUT_RESOLUTION);
+  const [print, setPrint] = useState(DEFAULT_PRINT);
+  const [output, setOutput] = useState(() => {
+    const storedPreset = getStoredPreset();
+    return storedPreset ? withPresetOutput(DEFAULT_OUTPUT, storedPreset) : DEFAULT_OUTPUT;
+  });
+  const [metadataPolicy, setMetadataPolicy] = useState(DEFAULT_METADATA_POLICY);
+  const [processingMode, setProcessingMode] = useState(getStoredProcessingMode);
+  // Zoom and offsets by file id, so they follow an image when it moves to another cell
+  const [imageSettings, setImageSettings] = useState({});
+  // Preview bitmaps and source sizes by file id
+  const [decodedImages, setDecodedImages] = useState({});
+  // File being dragged in the files list and the one it hovers, and the
+  // preview cell an image would swap into
+  const [draggedFileId, setDraggedFileId] = useState(null);
+  const [dragOverFileId, setDragOverFileId] = useState(null);
+  const [swapTargetIndex, setSwapTargetIndex] = useState(-1);
   const [error, setError] = useState(null);
+  // Error message that the Retry action applies to
+  const [retryableError, setRetryableError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [isPreparingFiles, setIsPreparingFiles] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingProgress, setProcessingProgress] = useState({ stage: '', progress: 0 });
   const fileInputRef = useRef(null);
   const canvasRef = useRef(null);
+  // Preview image promises by file id, decoded once and reused for every redraw
+  const imageCacheRef = useRef(new Map());
+  // Decodes run one after another, only one full-size bitmap is held at a time
+  const decodeQueueRef = useRef(Promise.resolve());
+  // Pointers currently pressed on the preview, and the cell they move
+  const gestureRef = useRef({
+    pointers: new Map(),
+    index: -1,
+    startSetting: null,
+    pinchDistance: 0,
+    pinchZoom: 1,
+  });
   const dragCounterRef = useRef(0);
   const errorTimeoutRef = useRef(null);
-
-  const maxImages = LAYOUT_TYPES[Object.keys(LAYOUT_TYPES).find(k => LAYOUT_TYPES[k].value === layoutType)]?.imageCount || 2;
+  const abortControllerRef = useRef(null);
+  const { capabilities, isServerAvailable } = useConnection();
+  // Private jobs and offline sessions render in the browser, nothing is uploaded
+  const isLocalRendering = processingMode === 'local' || !isServerAvailable;
+
+  const template = getLayoutTemplate(layoutType);
+  const maxImages = getTemplateImageCount(template);
+  // The server takes at most capabilities.maxImages per layout, local renders take any template
+  const isTemplateAllowed = (layout) =>
+    isLocalRendering || getTemplateImageCount(layout) <= capabilities.maxImages;
+  // Still possible when switching back to server processing with a large template
+  const isOverServerLimit = !isTemplateAllowed(template);
 
   // Auto-dismiss error after 5 seconds
   useEffect(() => {
@@ -62,42 +181,179 @@ function Layout() {
     }
   }, [error]);
 
-  // Initialize image settings when files change
+  // Release all decoded images when leaving the page
   useEffect(() => {
-    if (selectedFiles.length > 0) {
-      setImageSettings(selectedFiles.map((file, index) => ({
-        id: file.id,
-        zoom: 1,
-        offsetX: 0,
-        offsetY: 0,
-      })));
-    } else {
-      setImageSettings([]);
-    }
+    const cache = imageCacheRef.current;
+    return () => {
+      cache.forEach((promise) => promise.then(({ bitmap }) => bitmap.close(), () => {}));
+      cache.clear();
+    };
+  }, []);
+
+  // Decode new files once, so panning and zooming redraw without reloading
+  useEffect(() => {
+    const cache = imageCacheRef.current;
+    let cancelled = false;
+
+    selectedFiles.forEach((fileObj) => {
+      if (cache.has(fileObj.id)) return;
+      const promise = decodeQueueRef.current.then(() =>
+        loadPreviewImage(fileObj.file, PREVIEW_IMAGE_EDGE)
+      );
+      decodeQueueRef.current = promise.catch(() => {});
+      cache.set(fileObj.id, promise);
+    });
+
+    Promise.all(selectedFiles.map((fileObj) => cache.get(fileObj.id)))
+      .then((images) => {
+        if (cancelled) return;
+        setDecodedImages(
+          Object.fromEntries(selectedFiles.map((fileObj, idx) => [fileObj.id, images[idx]]))
+        );
+
+        // Removed files are closed once the preview no longer draws them
+        const ids = new Set(selectedFiles.map((fileObj) => fileObj.id));
+        cache.forEach((promise, id) => {
+          if (!ids.has(id)) {
+            cache.delete(id);
+            promise.then(({ bitmap }) => bitmap.close(), () => {});
+          }
+        });
+      })
+      .catch((err) => {
+        console.error('Failed to generate preview:', err);
+        if (!cancelled) setError('Failed to generate preview');
+      });
+
+    return () => {
+      cancelled = true;
+    };
   }, [selectedFiles]);
 
-  // Generate preview when settings change (debounced)
+  const hasPreview =
+    selectedFiles.length >= 2 && selectedFiles.every((fileObj) => decodedImages[fileObj.id]);
+  // Preview bitmaps and source sizes in cell order. The geometry works on
+  // source sizes, the renderer draws the smaller bitmaps into the same rects.
+  const previewImages = useMemo(
+    () => (hasPreview ? selectedFiles.map((fileObj) => decodedImages[fileObj.id].bitmap) : []),
+    [hasPreview, selectedFiles, decodedImages]
+  );
+  const sourceSizes = useMemo(
+    () =>
+      hasPreview
+        ? selectedFiles.map((fileObj) => {
+            const { width, height } = decodedImages[fileObj.id];
+            return { width, height };
+          })
+        : [],
+    [hasPreview, selectedFiles, decodedImages]
+  );
+
+  // Prints fill the whole page including bleed, guides show where it is cut
+  const printLayout = useMemo(() => (ratio === 'print' ? getPrintLayout(print) : null), [ratio, print]);
+  const previewGuides = print.guides ? printLayout : null;
+  const isPrintTooLarge =
+    Boolean(printLayout) && Math.max(printLayout.width, printLayout.height) > MAX_OUTPUT_DIMENSION;
+  // Presets and prints fix the size, the resolution control sizes everything else
+  const layoutSize = preset?.size || printLayout;
+  const isResolutionPrint = !layoutSize && resolution.mode === 'print';
+  // DPI the layout prints at, null when it is not meant for print
+  const printDpi = printLayout ? print.dpi : isResolutionPrint ? resolution.dpi : null;
+
+  // One geometry drives the preview, the full-size render and the server payload
+  const geometry = useMemo(
+    () =>
+      hasPreview
+        ? computeLayoutGeometry({
+            template,
+            images: sourceSizes,
+            settings: selectedFiles.map((fileObj) => imageSettings[fileObj.id]),
+            ratio,
+            size: layoutSize,
+            spacing,
+            resolution,
+          })
+        : null,
+    [hasPreview, sourceSizes, selectedFiles, imageSettings, template, ratio, layoutSize, spacing, resolution]
+  );
+
+  // Settings as drawn, with offsets clamped to the current cells
+  const getImageSetting = (fileId) => {
+    const index = selectedFiles.findIndex((fileObj) => fileObj.id === fileId);
+    return geometry?.cells[index]?.setting || imageSettings[fileId] || DEFAULT_IMAGE_SETTING;
+  };
+
+  // Prints warn about soft images by DPI, screens about any upscaling
+  const getImageWarnings = () => {
+    if (!geometry) return [];
+    if (printDpi) {
+      return geometry.cells.flatMap(({ sourceScale }, index) => {
+        const dpi = getEffectiveDpi(printDpi, sourceScale);
+        return dpi < MIN_PRINT_DPI ? [`${selectedFiles[index].file.name} prints at ${dpi} DPI`] : [];
+      });
+    }
+    return getUpscaledCells(geometry).map(
+      (index) =>
+        `${selectedFiles[index].file.name} is upscaled ${geometry.cells[index].sourceScale.toFixed(1)}×`
+    );
+  };
+  // Shown before downloading, the preset's checks on the result come after
+  const layoutWarnings = [
+    ...(isOverServerLimit
+      ? [`The server takes up to ${capabilities.maxImages} images, pick a smaller layout or process on this device`]
+      : []),
+    ...getImageWarnings(),
+    ...getPresetOutputWarnings(preset, output),
+  ];
+
+  // Redraw the preview on every change, drawing cached bitmaps is cheap
   useEffect(() => {
-    if (selectedFiles.length >= 2) {
-      // Debounce: only generate after 300ms of no changes
-      const timeoutId = setTimeout(() => {
-        generatePreview();
-      }, 300);
-
-      return () => clearTimeout(timeoutId);
-    } else {
-      setPreviewUrl(null);
+    const canvas = canvasRef.current;
+    if (!canvas || !geometry) return;
+
+    const scale = Math.min(1, MAX_PREVIEW_WIDTH / geometry.width);
+    canvas.width = Math.round(geometry.width * scale);
+    canvas.height = Math.round(geometry.height * scale);
+
+    const ctx = canvas.getContext('2d');
+    renderLayout(ctx, geometry, previewImages, color);
+
+    // Highlight where a dragged image would land
+    if (swapTargetIndex !== -1) {
+      const { cell } = geometry.cells[swapTargetIndex];
+      ctx.fillStyle = 'rgba(59, 130, 246, 0.35)';
+      ctx.fillRect(
+        cell.x * canvas.width,
+        cell.y * canvas.height,
+        cell.width * canvas.width,
+        cell.height * canvas.height
+      );
     }
-  }, [selectedFiles, layoutType, ratio, color, imageSettings]);
 
-  const validateFile = (file) => {
-    if (!file.type.match('image/(jpeg|jpg|png)')) {
-      return { valid: false, error: 'Invalid file type (JPEG or PNG only)' };
+    if (previewGuides) {
+      drawPrintGuides(ctx, previewGuides);
     }
-    return { valid: true };
-  };
+  }, [geometry, previewImages, color, swapTargetIndex, previewGuides]);
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const handleWheel = (e) => {
+      const { index } = getPreviewPoint(e);
+      if (index === -1) return;
+      e.preventDefault();
+      updateImageSetting(index, (setting) => ({
+        zoom: clamp(setting.zoom * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), MIN_ZOOM, MAX_ZOOM),
+      }));
+    };
 
-  const addFiles = (files) => {
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  });
+
+  const addFiles = async (files) => {
     const fileArray = Array.from(files);
     const remainingSlots = maxImages - selectedFiles.length;
 
@@ -110,22 +366,45 @@ function Layout() {
     const validFiles = [];
     const errors = [];
 
-    filesToAdd.forEach((file) => {
-      const validation = validateFile(file);
-      if (validation.valid) {
-        validFiles.push({
-          id: `${Date.now()}-${Math.random()}`,
-          file: file,
-          name: file.name,
-          size: file.size,
-        });
-      } else {
-        errors.push(`${file.name}: ${validation.error}`);
+    // One at a time, converting HEIC or TIFF takes a lot of memory
+    setIsPreparingFiles(true);
+    try {
+      for (const file of filesToAdd) {
+        const validation = await validateImageFile(file, capabilities);
+        if (!validation.valid) {
+          errors.push(`${file.name}: ${validation.error}`);
+          continue;
+        }
+
+        try {
+          const drawableFile = await prepareImageFile(file, validation.type, capabilities);
+          // Converting can grow a file past the limit the original passed
+          const sizeError = getFileSizeError(drawableFile, capabilities);
+          if (sizeError) {
+            errors.push(`${file.name}: ${sizeError} after conversion`);
+            continue;
+          }
+          validFiles.push({
+            id: `${Date.now()}-${Math.random()}`,
+            file: drawableFile,
+            name: file.name,
+            size: drawableFile.size,
+            // Converted files have no metadata left to keep
+            converted: needsConversion(validation.type, capabilities),
+          });
+        } catch (err) {
+          console.error('Failed to convert image:', err);
+          errors.push(`${file.name}: This image could not be read`);
+        }
       }
-    });
+    } finally {
+      // Reading a file can fail too, the upload area must not stay locked
+      setIsPreparingFiles(false);
+    }
 
     if (validFiles.length > 0) {
-      setSelectedFiles((prev) => [...prev, ...validFiles]);
+      // Checked again against the files added in the meantime
+      setSelectedFiles((prev) => [...prev, ...validFiles].slice(0, maxImages));
       setError(null);
     }
 
@@ -202,474 +481,351 @@ function Layout() {
 
   const handleRemoveFile = (fileId) => {
     setSelectedFiles((prev) => prev.filter((f) => f.id !== fileId));
+    setImageSettings((prev) => {
+      const next = { ...prev };
+      delete next[fileId];
+      return next;
+    });
     setError(null);
   };
 
+  const handleFileDragStart = (e, fileId) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', fileId);
+    setDraggedFileId(fileId);
+  };
+
+  const handleFileDragOver = (e, fileId) => {
+    // Only reorders, files dropped from outside go to the upload area
+    if (!draggedFileId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverFileId(fileId);
+  };
+
+  const handleFileDrop = (e, fileId) => {
+    if (!draggedFileId) return;
+    e.preventDefault();
+    moveFile(
+      selectedFiles.findIndex((f) => f.id === draggedFileId),
+      selectedFiles.findIndex((f) => f.id === fileId)
+    );
+    handleFileDragEnd();
+  };
+
+  const handleFileDragEnd = () => {
+    setDraggedFileId(null);
+    setDragOverFileId(null);
+  };
+
   const handleLayoutChange = (newLayout) => {
     setLayoutType(newLayout);
-    const newMaxImages = LAYOUT_TYPES[Object.keys(LAYOUT_TYPES).find(k => LAYOUT_TYPES[k].value === newLayout)]?.imageCount || 2;
+    const newMaxImages = getTemplateImageCount(getLayoutTemplate(newLayout));
     if (selectedFiles.length > newMaxImages) {
       setSelectedFiles((prev) => prev.slice(0, newMaxImages));
     }
   };
 
-  const handleZoomChange = (fileId, zoom) => {
-    setImageSettings((prev) =>
-      prev.map((setting) =>
-        setting.id === fileId ? { ...setting, zoom: parseFloat(zoom) } : setting
-      )
-    );
-  };
-
-  const loadImage = (file) => {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      const url = URL.createObjectURL(file);
-      img.onload = () => {
-        URL.revokeObjectURL(url);
-        resolve(img);
-      };
-      img.onerror = reject;
-      img.src = url;
+  /**
+   * Apply `update(setting)` to the image at `index`, keeping it inside its cell
+   */
+  const updateImageSetting = (index, update) => {
+    const fileId = selectedFiles[index]?.id;
+    const img = sourceSizes[index];
+    const cell = geometry?.cells[index]?.cellPx;
+
+    if (!fileId) return;
+    setImageSettings((prev) => {
+      // Start from where the image is drawn, stored offsets may be out of range
+      const stored = prev[fileId] || DEFAULT_IMAGE_SETTING;
+      const setting = img && cell ? clampOffsets(stored, img, cell) : stored;
+      const next = { ...setting, ...update(setting) };
+      return { ...prev, [fileId]: img && cell ? clampOffsets(next, img, cell) : next };
     });
   };
 
-  const calculateFitAllDimensions = (images, layout) => {
-    if (images.length === 0) return { width: 1200, height: 1200 };
-
-    // Giới hạn kích thước tối đa để tránh canvas quá lớn
-    const MAX_DIMENSION = 2000;
-
-    let finalWidth, finalHeight;
-
-    switch (layout) {
-      case '2-horizontal': {
-        // Side by side - add widths, use max height
-        // Assume each image has height = 1000, scale proportionally
-        const baseHeight = 1000;
-
-        // Calculate width of each image when scaled to baseHeight
-        const img1Width = (images[0].width / images[0].height) * baseHeight;
-        const img2Width = (images[1].width / images[1].height) * baseHeight;
-
-        // Total width
-        finalWidth = img1Width + img2Width;
-        finalHeight = baseHeight;
-        break;
-      }
-
-      case '2-vertical': {
-        // Top and bottom - use max width, add heights
-        // Assume each image has width = 1000, scale proportionally
-        const baseWidth = 1000;
-
-        // Calculate height of each image when scaled to baseWidth
-        const img1Height = (images[0].height / images[0].width) * baseWidth;
-        const img2Height = (images[1].height / images[1].width) * baseWidth;
-
-        // Total height
-        finalWidth = baseWidth;
-        finalHeight = img1Height + img2Height;
-        break;
-      }
-
-      case '3-row': {
-        // 3 ảnh nằm ngang - cộng chiều rộng
-        const baseHeight = 1000;
-
-        finalWidth = images.reduce((sum, img) => {
-          return sum + (img.width / img.height) * baseHeight;
-        }, 0);
-        finalHeight = baseHeight;
-        break;
-      }
-
-      case '3-column': {
-        // 3 ảnh xếp dọc - cộng chiều cao
-        const baseWidth = 1000;
-
-        finalHeight = images.reduce((sum, img) => {
-          return sum + (img.height / img.width) * baseWidth;
-        }, 0);
-        finalWidth = baseWidth;
-        break;
-      }
-
-      case '3-left': {
-        // 1 ảnh bên trái (chiếm 50% width), 2 ảnh bên phải xếp dọc (mỗi ảnh 50% width)
-        const leftImg = images[0];
-        const rightImg1 = images[1];
-        const rightImg2 = images[2];
-
-        // Giả sử width mỗi cell = 500
-        const cellWidth = 500;
-
-        // Chiều cao ảnh trái nếu width = cellWidth
-        const leftHeight = (leftImg.height / leftImg.width) * cellWidth;
-
-        // Chiều cao mỗi ảnh phải nếu width = cellWidth
-        const right1Height = rightImg1 ? (rightImg1.height / rightImg1.width) * cellWidth : 0;
-        const right2Height = rightImg2 ? (rightImg2.height / rightImg2.width) * cellWidth : 0;
-        const rightTotalHeight = right1Height + right2Height;
-
-        // Lấy chiều cao lớn nhất
-        finalWidth = cellWidth * 2;
-        finalHeight = Math.max(leftHeight, rightTotalHeight);
-        break;
-      }
-
-      case '3-right': {
-        // 2 ảnh bên trái xếp dọc (mỗi ảnh 50% width), 1 ảnh bên phải (chiếm 50% width)
-        const leftImg1 = images[0];
-        const leftImg2 = images[1];
-        const rightImg = images[2];
-
-        const cellWidth = 500;
-
-        // Chiều cao mỗi ảnh trái
-        const left1Height = leftImg1 ? (leftImg1.height / leftImg1.width) * cellWidth : 0;
-        const left2Height = leftImg2 ? (leftImg2.height / leftImg2.width) * cellWidth : 0;
-        const leftTotalHeight = left1Height + left2Height;
-
-        // Chiều cao ảnh phải
-        const rightHeight = (rightImg.height / rightImg.width) * cellWidth;
-
-        // Lấy chiều cao lớn nhất
-        finalWidth = cellWidth * 2;
-        finalHeight = Math.max(leftTotalHeight, rightHeight);
-        break;
-      }
+  const moveFile = (fromIndex, toIndex) => {
+    if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0) return;
+    const nextFiles = [...selectedFiles];
+    const [moved] = nextFiles.splice(fromIndex, 1);
+    nextFiles.splice(toIndex, 0, moved);
+    // Settings are keyed by file, the geometry clamps them to their new cells
+    setSelectedFiles(nextFiles);
+  };
 
-      default:
-        finalWidth = 1200;
-        finalHeight = 1200;
-    }
+  const swapFiles = (indexA, indexB) => {
+    const nextFiles = [...selectedFiles];
+    [nextFiles[indexA], nextFiles[indexB]] = [nextFiles[indexB], nextFiles[indexA]];
+    setSelectedFiles(nextFiles);
+  };
 
-    // Giới hạn kích thước tối đa
-    if (finalWidth > MAX_DIMENSION || finalHeight > MAX_DIMENSION) {
-      const scale = Math.min(MAX_DIMENSION / finalWidth, MAX_DIMENSION / finalHeight);
-      finalWidth = Math.round(finalWidth * scale);
-      finalHeight = Math.round(finalHeight * scale);
-    }
+  const handleZoomChange = (fileId, zoom) => {
+    const index = selectedFiles.findIndex((fileObj) => fileObj.id === fileId);
+    updateImageSetting(index, () => ({ zoom: parseFloat(zoom) }));
+  };
 
+  /**
+   * Pointer position in output pixels and the index of the image under it (-1 for none)
+   */
+  const getPreviewPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
     return {
-      width: Math.round(finalWidth),
-      height: Math.round(finalHeight)
+      x: x * geometry.width,
+      y: y * geometry.height,
+      index: getCellIndexAt(geometry, x, y),
     };
   };
 
-  const generatePreview = async () => {
-    if (selectedFiles.length < 2) return;
-
-    try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-
-      // Load all images
-      const images = await Promise.all(
-        selectedFiles.map((fileObj) => loadImage(fileObj.file))
-      );
+  const handlePreviewPointerDown = (e) => {
+    const gesture = gestureRef.current;
+    const point = getPreviewPoint(e);
 
-      // Calculate canvas dimensions based on ratio
-      let canvasWidth = 1200;
-      let canvasHeight = 1200;
-
-      if (ratio === 'fit-all') {
-        // Calculate dimensions to fit all images without cropping
-        const layoutDims = calculateFitAllDimensions(images, layoutType);
-        canvasWidth = layoutDims.width;
-        canvasHeight = layoutDims.height;
-      } else if (ratio !== 'original') {
-        const [w, h] = ratio.split(':').map(Number);
-        canvasHeight = Math.round((canvasWidth * h) / w);
-      }
-
-      // Downscale for preview (max 600px width to prevent memory issues)
-      const MAX_PREVIEW_WIDTH = 600;
-      let scale = 1;
-      if (canvasWidth > MAX_PREVIEW_WIDTH) {
-        scale = MAX_PREVIEW_WIDTH / canvasWidth;
-        canvasWidth = Math.round(canvasWidth * scale);
-        canvasHeight = Math.round(canvasHeight * scale);
-      }
-
-      canvas.width = canvasWidth;
-      canvas.height = canvasHeight;
-
-      // Fill background
-      ctx.fillStyle = color;
-      ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    // The first pointer picks the image, a second one pinches it
+    if (gesture.pointers.size === 0) {
+      if (point.index === -1) return;
+      gesture.index = point.index;
+      gesture.startSetting = getImageSetting(selectedFiles[point.index].id);
+    }
 
-      // Draw images based on layout (with scale applied)
-      drawLayout(ctx, images, canvasWidth, canvasHeight);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gesture.pointers.set(e.pointerId, point);
 
-      // Convert to preview (lower quality for faster rendering)
-      const previewDataUrl = canvas.toDataURL('image/jpeg', 0.75);
-      setPreviewUrl(previewDataUrl);
-    } catch (err) {
-      console.error('Failed to generate preview:', err);
-      setError('Failed to generate preview');
+    if (gesture.pointers.size === 2) {
+      const [a, b] = gesture.pointers.values();
+      gesture.pinchDistance = Math.hypot(a.x - b.x, a.y - b.y) || 1;
+      gesture.pinchZoom = getImageSetting(selectedFiles[gesture.index].id).zoom;
+      setSwapTargetIndex(-1);
     }
   };
 
-  const drawLayout = (ctx, images, canvasWidth, canvasHeight) => {
-    const settings = imageSettings;
-
-    switch (layoutType) {
-      case '2-horizontal': {
-        const cellWidth = canvasWidth / 2;
-        images.slice(0, 2).forEach((img, idx) => {
-          const setting = settings[idx] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, img, idx * cellWidth, 0, cellWidth, canvasHeight, setting);
-        });
-        break;
-      }
-      case '2-vertical': {
-        const cellHeight = canvasHeight / 2;
-        images.slice(0, 2).forEach((img, idx) => {
-          const setting = settings[idx] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, img, 0, idx * cellHeight, canvasWidth, cellHeight, setting);
-        });
-        break;
-      }
-      case '3-row': {
-        const cellWidth = canvasWidth / 3;
-        images.slice(0, 3).forEach((img, idx) => {
-          const setting = settings[idx] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, img, idx * cellWidth, 0, cellWidth, canvasHeight, setting);
-        });
-        break;
-      }
-      case '3-column': {
-        const cellHeight = canvasHeight / 3;
-        images.slice(0, 3).forEach((img, idx) => {
-          const setting = settings[idx] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, img, 0, idx * cellHeight, canvasWidth, cellHeight, setting);
-        });
-        break;
-      }
-      case '3-left': {
-        // 1 image on left half, 2 stacked on right half
-        const leftWidth = canvasWidth / 2;
-        const rightWidth = canvasWidth / 2;
-        const rightHeight = canvasHeight / 2;
-
-        if (images[0]) {
-          const setting = settings[0] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, images[0], 0, 0, leftWidth, canvasHeight, setting);
-        }
-        if (images[1]) {
-          const setting = settings[1] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, images[1], leftWidth, 0, rightWidth, rightHeight, setting);
-        }
-        if (images[2]) {
-          const setting = settings[2] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, images[2], leftWidth, rightHeight, rightWidth, rightHeight, setting);
-        }
-        break;
-      }
-      case '3-right': {
-        // 2 stacked on left half, 1 on right half
-        const leftWidth = canvasWidth / 2;
-        const leftHeight = canvasHeight / 2;
-        const rightWidth = canvasWidth / 2;
-
-        if (images[0]) {
-          const setting = settings[0] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, images[0], 0, 0, leftWidth, leftHeight, setting);
-        }
-        if (images[1]) {
-          const setting = settings[1] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, images[1], 0, leftHeight, leftWidth, leftHeight, setting);
-        }
-        if (images[2]) {
-          const setting = settings[2] || { zoom: 1, offsetX: 0, offsetY: 0 };
-          drawImageInCell(ctx, images[2], leftWidth, 0, rightWidth, canvasHeight, setting);
-        }
-        break;
-      }
+  const handlePreviewPointerMove = (e) => {
+    const gesture = gestureRef.current;
+    const previous = gesture.pointers.get(e.pointerId);
+    if (!previous) return;
+
+    const point = getPreviewPoint(e);
+    gesture.pointers.set(e.pointerId, point);
+
+    if (gesture.pointers.size === 1) {
+      // Dragged onto another cell: the images swap on release instead of panning
+      const isOverOtherCell = point.index !== -1 && point.index !== gesture.index;
+      setSwapTargetIndex(isOverOtherCell ? point.index : -1);
+      if (isOverOtherCell) return;
+
+      updateImageSetting(gesture.index, (setting) => ({
+        offsetX: setting.offsetX + point.x - previous.x,
+        offsetY: setting.offsetY + point.y - previous.y,
+      }));
+    } else if (gesture.pointers.size === 2) {
+      const [a, b] = gesture.pointers.values();
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      updateImageSetting(gesture.index, () => ({
+        zoom: clamp((gesture.pinchZoom * distance) / gesture.pinchDistance, MIN_ZOOM, MAX_ZOOM),
+      }));
     }
   };
 
-  const drawImageInCell = (ctx, img, x, y, width, height, setting) => {
-    const { zoom, offsetX, offsetY } = setting;
-
-    // Calculate scaled dimensions
-    const scale = Math.max(width / img.width, height / img.height) * zoom;
-    const scaledWidth = img.width * scale;
-    const scaledHeight = img.height * scale;
-
-    // Center the image
-    const drawX = x + (width - scaledWidth) / 2 + offsetX;
-    const drawY = y + (height - scaledHeight) / 2 + offsetY;
-
-    // Clip to cell boundaries
-    ctx.save();
-    ctx.beginPath();
-    ctx.rect(x, y, width, height);
-    ctx.clip();
+  const handlePreviewPointerUp = (e) => {
+    const gesture = gestureRef.current;
+    gesture.pointers.delete(e.pointerId);
+    if (gesture.pointers.size > 0 || swapTargetIndex === -1) return;
 
-    // Draw image
-    ctx.drawImage(img, drawX, drawY, scaledWidth, scaledHeight);
-    ctx.restore();
+    // Undo the panning done on the way, the image keeps its position from before the drag
+    const fileId = selectedFiles[gesture.index].id;
+    setImageSettings((prev) => ({ ...prev, [fileId]: gesture.startSetting }));
+    swapFiles(gesture.index, swapTargetIndex);
+    setSwapTargetIndex(-1);
   };
 
-  const generateFullSizeLayout = async () => {
-    if (selectedFiles.length < 2) return null;
-
-    try {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-
-      // Load all images
-      const images = await Promise.all(
-        selectedFiles.map((fileObj) => loadImage(fileObj.file))
-      );
-
-      // Calculate canvas dimensions based on ratio (FULL SIZE)
-      let canvasWidth = 1200;
-      let canvasHeight = 1200;
-
-      if (ratio === 'fit-all') {
-        const layoutDims = calculateFitAllDimensions(images, layoutType);
-        canvasWidth = layoutDims.width;
-        canvasHeight = layoutDims.height;
-      } else if (ratio !== 'original') {
-        const [w, h] = ratio.split(':').map(Number);
-        canvasHeight = Math.round((canvasWidth * h) / w);
-      }
-
-      canvas.width = canvasWidth;
-      canvas.height = canvasHeight;
-
-      // Fill background
-      ctx.fillStyle = color;
-      ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-      // Draw images based on layout
-      drawLayout(ctx, images, canvasWidth, canvasHeight);
+  const handlePreviewPointerCancel = (e) => {
+    gestureRef.current.pointers.delete(e.pointerId);
+    setSwapTargetIndex(-1);
+  };
 
-      // Convert to full size image
-      return canvas.toDataURL('image/jpeg', 0.95);
-    } catch (err) {
-      console.error('Failed to generate full size layout:', err);
-      return null;
+  const handlePreviewDoubleClick = (e) => {
+    const { index } = getPreviewPoint(e);
+    if (index !== -1) {
+      updateImageSetting(index, () => DEFAULT_IMAGE_SETTING);
     }
   };
 
   const handleDownload = async () => {
-    if (selectedFiles.length < 2) {
+    if (selectedFiles.length < 2 || !geometry) {
       setError('Please add at least 2 images');
       return;
     }
 
     setIsProcessing(true);
     setError(null);
+    setPresetWarnings([]);
 
-    try {
-      // Prepare files array
-      const files = selectedFiles.map(f => f.file);
-
-      // Load images to get dimensions for fit-all
-      const images = await Promise.all(
-        files.map((file) => loadImage(file))
-      );
-
-      // Calculate dimensions
-      let dimensions = null;
-      if (ratio === 'fit-all') {
-        dimensions = calculateFitAllDimensions(images, layoutType);
-      } else if (ratio !== 'original') {
-        const [w, h] = ratio.split(':').map(Number);
-        dimensions = {
-          width: 1200,
-          height: Math.round((1200 * h) / w)
-        };
-      } else {
-        dimensions = { width: 1200, height: 1200 };
-      }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
-      // Prepare layout config
+    try {
+      // Prepare layout config, sized and laid out exactly like the preview
       const layoutConfig = {
         layoutType: layoutType,
-        ratio: ratio,
+        cells: geometry.cells.map(({ cell }) => cell),
+        // A print is sized by its page, its ratio is implied like a preset's
+        ratio: printLayout ? `${geometry.width}:${geometry.height}` : ratio,
         backgroundColor: color,
-        dimensions: dimensions
+        spacing,
+        output,
+        metadataPolicy,
+        dimensions: { width: geometry.width, height: geometry.height },
+        print: printLayout
+          ? getPrintMetadata(print)
+          : isResolutionPrint
+            ? getCanvasPrintMetadata(geometry, resolution.dpi, resolution.printUnit)
+            : null,
       };
 
-      // Prepare image settings with proper index
-      const settings = selectedFiles.map((fileObj, index) => {
-        const setting = imageSettings.find(s => s.id === fileObj.id) || {};
-        return {
-          index: index,
-          zoom: setting.zoom || 1.0,
-          offsetX: setting.offsetX || 0,
-          offsetY: setting.offsetY || 0,
-        };
-      });
+      // Each image with the cell it fills and its position in that cell
+      const images = selectedFiles.map((fileObj, cell) => ({
+        file: fileObj.file,
+        cell,
+        ...getImageSetting(fileObj.id),
+        drawRect: geometry.cells[cell].image,
+      }));
+
+      let result;
+      if (isLocalRendering) {
+        // Same geometry, drawn in a worker
+        setProcessingProgress({ stage: 'Rendering on this device...', progress: 0 });
+        result = await renderLayoutLocally(
+          images.map((image) => image.file),
+          geometry,
+          {
+            width: geometry.width,
+            height: geometry.height,
+            background: color,
+            output,
+          },
+          controller.signal
+        );
+      } else {
+        // Upload and process on server
+        result = await uploadAndCreateLayout(
+          images,
+          layoutConfig,
+          (progressData) => {
+            setProcessingProgress(progressData);
+          },
+          controller.signal
+        );
+      }
 
-      // Upload and process on server
-      const result = await uploadAndCreateLayout(
-        files,
-        layoutConfig,
-        settings,
-        (progressData) => {
-          setProcessingProgress(progressData);
-        }
-      );
+      setPresetWarnings(getPresetWarnings(preset, result.metadata, result.filename));
 
       // Download the result
-      if (result.downloadUrl) {
-        const downloadUrl = `${import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000'}${result.downloadUrl}`;
+      if (result.localUrl || result.downloadUrl) {
+        const downloadUrl = result.localUrl
+          || `${import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000'}${result.downloadUrl}`;
         const link = document.createElement('a');
         link.href = downloadUrl;
-        link.download = result.filename || `layout_${Date.now()}.jpg`;
+        link.download = result.filename || withOutputExtension(`layout_${Date.now()}`, output);
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        // The browser has started the download, the blob is no longer needed
+        if (result.localUrl) setTimeout(() => URL.revokeObjectURL(result.localUrl), 1000);
       }
 
       setIsProcessing(false);
     } catch (err) {
+      if (isAbortError(err)) {
+        setIsProcessing(false);
+        return;
+      }
+
       console.error('Download failed:', err);
 
-      // More informative error messages
-      let errorMessage = 'Failed to create layout. ';
+      const errorMessage = `Failed to create layout. ${getErrorMessage(err)}`;
+      setError(errorMessage);
+      setRetryableError(canRetry(err) ? errorMessage : null);
 
-      if (err.response) {
-        // Server responded with error
-        errorMessage += err.response.data?.message || err.response.data?.error || `Server error (${err.response.status})`;
-      } else if (err.request) {
-        // Request made but no response
-        errorMessage += 'Cannot connect to server. Make sure the backend is running on ' + (import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000');
-      } else {
-        // Other errors
-        errorMessage += err.message || 'Unknown error occurred';
+      if (err.code === API_ERROR_CODES.NETWORK) {
+        refreshConnection();
       }
-
-      setError(errorMessage);
       setIsProcessing(false);
+    } finally {
+      abortControllerRef.current = null;
+    }
+  };
+
+  const handleColorCommit = (value) => {
+    setColor(value);
+    // Transparent backgrounds are lost in formats without alpha
+    if (hasTransparency(value)) setOutput(withAlphaFormat);
+  };
+
+  const handleProcessingModeChange = (mode) => {
+    setProcessingMode(mode);
+    storeProcessingMode(mode);
+  };
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const handleRatioChange = (value) => {
+    setRatio(value);
+    setPreset(null);
+    storePreset(null);
+  };
+
+  /**
+   * Offsets are in output pixels, scale them with the layout so images keep
+   * their position when the resolution changes
+   */
+  const handleResolutionChange = (nextResolution) => {
+    setResolution(nextResolution);
+    if (!geometry) return;
+
+    const nextWidth = computeLayoutGeometry({
+      template,
+      images: sourceSizes,
+      ratio,
+      size: layoutSize,
+      spacing,
+      resolution: nextResolution,
+    }).width;
+    const scale = nextWidth / geometry.width;
+    if (scale === 1) return;
+
+    setImageSettings((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([fileId, setting]) => [
+          fileId,
+          { ...setting, offsetX: setting.offsetX * scale, offsetY: setting.offsetY * scale },
+        ])
+      )
+    );
+  };
+
+  const handlePresetChange = (id) => {
+    const nextPreset = getPreset(id);
+    setPreset(nextPreset);
+    storePreset(nextPreset?.id);
+    if (nextPreset) {
+      setRatio(nextPreset.ratio);
+      setOutput((prev) => withPresetOutput(prev, nextPreset));
     }
   };
 
   const handleReset = () => {
     setSelectedFiles([]);
-    setImageSettings([]);
-    setPreviewUrl(null);
+    setImageSettings({});
     setError(null);
+    setPresetWarnings([]);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
-  };
-
   return (
     <div className="layout-container">
       {error && (
@@ -685,21 +841,51 @@ function Layout() {
             </button>
           </div>
           <div className="error-message">{error}</div>
+          {retryableError === error && (
+            <button className="error-retry" onClick={handleDownload}>
+              Retry
+            </button>
+          )}
         </div>
       )}
 
+      <PendingUploads refreshKey={isProcessing} />
+
       <div className="layout-content">
         <div className="layout-controls-section">
           <div className="control-group">
             <label className="control-label">Layout Type</label>
             <div className="layout-buttons">
-              {Object.values(LAYOUT_TYPES).map((layout) => (
+              {LAYOUT_TEMPLATES.map((layout) => (
                 <button
-                  key={layout.value}
-                  className={`layout-button ${layoutType === layout.value ? 'active' : ''}`}
-                  onClick={() => handleLayoutChange(layout.value)}
+                  key={layout.id}
+                  className={`layout-button ${layoutType === layout.id ? 'active' : ''}`}
+                  onClick={() => handleLayoutChange(layout.id)}
+                  title={
+                    isTemplateAllowed(layout)
+                      ? layout.label
+                      : `${layout.label} (the server takes up to ${capabilities.maxImages} images)`
+                  }
+                  disabled={isPreparingFiles || !isTemplateAllowed(layout)}
                 >
-                  {layout.label}
+                  <svg
+                    className="layout-button-icon"
+                    viewBox="0 0 1 1"
+                    preserveAspectRatio="none"
+                    aria-hidden="true"
+                  >
+                    {getTemplateCells(layout).map((cell, idx) => (
+                      <rect
+                        key={idx}
+                        x={cell.x + 0.03}
+                        y={cell.y + 0.03}
+                        width={cell.width - 0.06}
+                        height={cell.height - 0.06}
+                        rx="0.04"
+                      />
+                    ))}
+                  </svg>
+                  <span>{layout.label}</span>
                 </button>
               ))}
             </div>
@@ -709,27 +895,32 @@ function Layout() {
             <div className="control-group">
               <label className="control-label">Upload Images</label>
               <div
-                className={`upload-section ${isDragging ? 'dragging' : ''}`}
-                onDragEnter={handleDragEnter}
-                onDragLeave={handleDragLeave}
-                onDragOver={handleDragOver}
-                onDrop={handleDrop}
+                className={`upload-section ${isDragging ? 'dragging' : ''} ${isPreparingFiles ? 'disabled' : ''}`}
+                onDragEnter={isPreparingFiles ? undefined : handleDragEnter}
+                onDragLeave={isPreparingFiles ? undefined : handleDragLeave}
+                onDragOver={isPreparingFiles ? undefined : handleDragOver}
+                onDrop={isPreparingFiles ? undefined : handleDrop}
               >
-                <div className="upload-area" onClick={handleUploadAreaClick}>
+                <div className="upload-area" onClick={isPreparingFiles ? undefined : handleUploadAreaClick}>
                   <div className="upload-icon">+</div>
                   <div className="upload-text">
-                    {selectedFiles.length > 0
-                      ? `${selectedFiles.length}/${maxImages} images - Add more`
-                      : `Add ${maxImages} images`}
+                    {isPreparingFiles
+                      ? 'Reading images...'
+                      : selectedFiles.length > 0
+                        ? `${selectedFiles.length}/${maxImages} images - Add more`
+                        : `Add ${maxImages} images`}
+                  </div>
+                  <div className="upload-hint">
+                    Click or Drop here • {describeFormats(ACCEPTED_INPUT_TYPES)}
                   </div>
-                  <div className="upload-hint">Click or Drop here</div>
                   <input
                     ref={fileInputRef}
                     type="file"
                     className="file-input"
-                    accept="image/jpeg,image/jpg,image/png"
+                    accept={INPUT_ACCEPT}
                     multiple
                     onChange={handleFileSelect}
+                    disabled={isPreparingFiles}
                   />
                 </div>
               </div>
@@ -743,10 +934,28 @@ function Layout() {
               </label>
               <div className="files-list">
                 {selectedFiles.map((fileObj, index) => {
-                  const setting = imageSettings.find((s) => s.id === fileObj.id) || { zoom: 1 };
+                  const setting = getImageSetting(fileObj.id);
+                  const dragClass =
+                    draggedFileId === fileObj.id
+                      ? 'dragged'
+                      : dragOverFileId === fileObj.id
+                        ? 'drop-target'
+                        : '';
                   return (
-                    <div key={fileObj.id} className="file-item">
-                      <div className="file-item-header">
+                    <div
+                      key={fileObj.id}
+                      className={`file-item ${dragClass}`}
+                      onDragOver={(e) => handleFileDragOver(e, fileObj.id)}
+                      onDrop={(e) => handleFileDrop(e, fileObj.id)}
+                    >
+                      <div
+                        className="file-item-header"
+                        draggable={!isProcessing}
+                        onDragStart={(e) => handleFileDragStart(e, fileObj.id)}
+                        onDragEnd={handleFileDragEnd}
+                        title="Drag to change the cell"
+                      >
+                        <span className="file-item-handle" aria-hidden="true">⠿</span>
                         <div className="file-item-name">
                           {index + 1}. {fileObj.name}
                         </div>
@@ -779,14 +988,35 @@ function Layout() {
             </div>
           )}
 
+          <div className="control-group">
+            <label className="control-label">Platform Preset</label>
+            <select
+              className="preset-select"
+              value={preset?.id || ''}
+              onChange={(e) => handlePresetChange(e.target.value)}
+              disabled={isProcessing}
+            >
+              <option value="">None</option>
+              {PRESET_GROUPS.map((group) => (
+                <optgroup key={group.platform} label={group.platform}>
+                  {group.presets.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {getPresetLabel(option)}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+
           <div className="control-group">
             <label className="control-label">Aspect Ratio</label>
             <div className="ratio-buttons">
-              {RATIO_OPTIONS.map((option) => (
+              {LAYOUT_RATIO_OPTIONS.map((option) => (
                 <button
                   key={option.value}
-                  className={`ratio-button ${ratio === option.value ? 'active' : ''}`}
-                  onClick={() => setRatio(option.value)}
+                  className={`ratio-button ${!preset && ratio === option.value ? 'active' : ''}`}
+                  onClick={() => handleRatioChange(option.value)}
                 >
                   {option.label}
                 </button>
@@ -794,25 +1024,103 @@ function Layout() {
             </div>
           </div>
 
-          <div className="control-group">
-            <label className="control-label">Background Color</label>
-            <div className="color-input-wrapper">
-              <input
-                type="color"
-                className="color-input"
-                value={color}
-                onChange={(e) => setColor(e.target.value)}
+          {ratio === 'print' && (
+            <div className="control-group">
+              <label className="control-label">Print Size</label>
+              <PrintSettings
+                value={print}
+                onChange={setPrint}
+                disabled={isProcessing}
+                localOnly={isLocalRendering}
               />
-              <span className="color-hex">{color.toUpperCase()}</span>
             </div>
+          )}
+
+          <div className="control-group">
+            <label className="control-label">Resolution</label>
+            <ResolutionSettings
+              value={resolution}
+              onChange={handleResolutionChange}
+              size={geometry && { width: geometry.width, height: geometry.height }}
+              disabled={isProcessing}
+              fixedBy={preset?.size ? 'the platform preset' : printLayout && 'the print size'}
+            />
           </div>
 
           <div className="control-group">
+            <label className="control-label">Background Color</label>
+            <ColorPicker value={color} onChange={setColor} onCommit={handleColorCommit} />
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">Spacing</label>
+            <SpacingSettings value={spacing} onChange={setSpacing} disabled={isProcessing} />
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">Output Format</label>
+            <OutputSettings
+              value={output}
+              onChange={setOutput}
+              disabled={isProcessing}
+              needsAlpha={hasTransparency(color)}
+            />
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">Metadata</label>
+            <MetadataSettings
+              value={metadataPolicy}
+              onChange={setMetadataPolicy}
+              disabled={isProcessing}
+              localOnly={isLocalRendering}
+              convertedFiles={selectedFiles
+                .filter((fileObj) => fileObj.converted)
+                .map((fileObj) => fileObj.name)}
+            />
+          </div>
+
+          <div className="control-group">
+            <label className="control-label">Processing</label>
+            <select
+              className="preset-select"
+              value={isLocalRendering ? 'local' : processingMode}
+              onChange={(e) => handleProcessingModeChange(e.target.value)}
+              disabled={isProcessing || !isServerAvailable}
+            >
+              {PROCESSING_MODES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="control-group">
+            {!isServerAvailable && (
+              <div className="offline-notice">
+                Server unavailable. Layouts are rendered on this device until it is back.
+              </div>
+            )}
+            {layoutWarnings.length > 0 && (
+              <div className="layout-warnings">
+                {layoutWarnings.map((warning) => (
+                  <div key={warning}>⚠ {warning}</div>
+                ))}
+              </div>
+            )}
+            {presetWarnings.length > 0 && (
+              <div className="layout-warnings">
+                {presetWarnings.map((warning) => (
+                  <div key={warning}>⚠ {warning}</div>
+                ))}
+              </div>
+            )}
             <div className="action-buttons">
               <button
                 className="download-button"
                 onClick={handleDownload}
-                disabled={!previewUrl || isProcessing}
+                disabled={!hasPreview || isProcessing || isPrintTooLarge || isOverServerLimit}
               >
                 {isProcessing ? 'Processing...' : 'Download'}
               </button>
@@ -829,13 +1137,29 @@ function Layout() {
 
         <div className="layout-preview-section">
           <h3 className="preview-title">Preview</h3>
-          {previewUrl ? (
-            <div
-              className="preview-container"
-              style={{ backgroundColor: getContrastingBackground(color) }}
-            >
-              <img src={previewUrl} alt="Layout preview" className="preview-image" />
-            </div>
+          {hasPreview ? (
+            <>
+              <div
+                className="preview-container"
+                style={getPreviewBackgroundStyle(color)}
+              >
+                <canvas
+                  ref={canvasRef}
+                  className="preview-image preview-canvas"
+                  role="img"
+                  aria-label="Layout preview"
+                  onPointerDown={handlePreviewPointerDown}
+                  onPointerMove={handlePreviewPointerMove}
+                  onPointerUp={handlePreviewPointerUp}
+                  onPointerCancel={handlePreviewPointerCancel}
+                  onDoubleClick={handlePreviewDoubleClick}
+                />
+              </div>
+              <div className="preview-hint">
+                Drag to position • Drop on another cell to swap • Scroll or pinch to zoom •
+                Double-click to reset
+              </div>
+            </>
           ) : (
             <div className="preview-placeholder">
               <div className="preview-placeholder-icon">+</div>
@@ -870,15 +1194,19 @@ function Layout() {
               {Math.round(processingProgress.progress || 0)}%
             </div>
 
-            {processingProgress.currentFile && processingProgress.totalFiles && (
+            {processingProgress.totalFiles > 0 && (
               <div className="processing-file-info">
-                Processing image {processingProgress.currentFile} of {processingProgress.totalFiles}
+                Uploaded {processingProgress.completedFiles} of {processingProgress.totalFiles} images
               </div>
             )}
 
             <div className="processing-hint">
               This may take a few moments...
             </div>
+
+            <button className="processing-cancel" onClick={handleCancel}>
+              Cancel
+            </button>
           </div>
         </div>
       )}
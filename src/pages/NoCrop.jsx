@@ -1,47 +1,269 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import './NoCrop.css';
-import { uploadAndProcessImage, getDownloadUrl } from '../services/api';
-import { createImagePreview } from '../utils/imagePreview';
-import { getContrastingBackground } from '../utils/colorUtils';
-
-const RATIO_OPTIONS = [
-  { label: 'Original', value: 'original' },
-  { label: '4:5 (Instagram)', value: '4:5' },
-  { label: '1:1 (Square)', value: '1:1' },
-  { label: '16:9 (Widescreen)', value: '16:9' },
-  { label: '3:2', value: '3:2' },
-  { label: '21:9', value: '21:9' },
+import {
+  uploadAndProcessImage,
+  getDownloadUrl,
+  isAbortError,
+  getErrorMessage,
+  canRetry,
+  API_ERROR_CODES,
+  fetchResultFile,
+  downloadResultsZip,
+} from '../services/api';
+import {
+  createImagePreview,
+  parseRatio,
+  parseOutputSize,
+  getImageDimensions,
+  ALIGNMENT_PRESETS,
+} from '../utils/imagePreview';
+import {
+  DEFAULT_ALIGNMENT,
+  MAX_MARGIN_PERCENT,
+  MAX_OUTPUT_DIMENSION,
+  calculatePaddedCanvas,
+} from '../utils/geometry';
+import { BACKGROUND_TYPES, buildBackground, resolveBackground } from '../utils/backgroundFill';
+import {
+  RATIO_OPTIONS,
+  getPreset,
+  getStoredPreset,
+  storePreset,
+  getPresetGroups,
+  getPresetLabel,
+  getPresetWarnings,
+  getPresetOutputWarnings,
+  withPresetOutput,
+} from '../utils/presets';
+import {
+  processImageLocally,
+  PROCESSING_MODES,
+  getStoredProcessingMode,
+  storeProcessingMode,
+} from '../utils/localProcessing';
+import { createZipWriter, dedupeFilename } from '../utils/zip';
+import { getPreviewBackgroundStyle, hasTransparency } from '../utils/colorUtils';
+import PendingUploads from '../components/PendingUploads';
+import OutputSettings from '../components/OutputSettings';
+import MetadataSettings from '../components/MetadataSettings';
+import ColorPicker from '../components/ColorPicker';
+import PrintSettings from '../components/PrintSettings';
+import { DEFAULT_OUTPUT, withAlphaFormat } from '../utils/outputFormat';
+import { DEFAULT_METADATA_POLICY } from '../utils/metadataPolicy';
+import {
+  DEFAULT_PRINT,
+  MIN_PRINT_DPI,
+  getPrintLayout,
+  getPrintMetadata,
+  getEffectiveDpi,
+  withPrintMargin,
+} from '../utils/printSizes';
+import { useConnection } from '../hooks/useConnection';
+import { refreshConnection } from '../services/connection';
+import {
+  validateImageFile,
+  getFileSizeError,
+  describeFormats,
+  formatFileSize,
+  ACCEPTED_INPUT_TYPES,
+  INPUT_ACCEPT,
+} from '../utils/fileValidation';
+import { prepareImageFile, needsConversion } from '../utils/imageDecoding';
+
+const revokeLocalResults = (results) => {
+  results.forEach((r) => {
+    if (r.result?.localUrl) URL.revokeObjectURL(r.result.localUrl);
+  });
+};
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Fetch every result and add it to one ZIP, one file at a time to keep memory low
+ */
+const createResultsZip = async (successResults, onProgress) => {
+  const zip = createZipWriter();
+  const usedNames = new Set();
+
+  for (let i = 0; i < successResults.length; i++) {
+    const { name, result } = successResults[i];
+    const blob = result.localUrl
+      ? await fetch(result.localUrl).then((response) => response.blob())
+      : await fetchResultFile(result.downloadUrl);
+
+    await zip.addFile(dedupeFilename(result.filename || name, usedNames), blob);
+    onProgress(i + 1);
+  }
+
+  return zip.finish();
+};
+
+const NOCROP_RATIO_OPTIONS = [
+  ...RATIO_OPTIONS.map((option) => ({
+    label: option.hint ? `${option.label} (${option.hint})` : option.label,
+    value: option.value,
+  })),
+  { label: 'Custom ratio…', value: 'custom' },
+  { label: 'Exact size (px)…', value: 'exact' },
+  { label: 'Print size…', value: 'print' },
 ];
 
-const MAX_IMAGES = parseInt(import.meta.env.VITE_MAX_IMAGES) || 5;
+// Text inputs only apply on blur or Enter, so typing does not re-render every preview
+const commitOnEnter = (e) => {
+  if (e.key === 'Enter') e.target.blur();
+};
+
+const toSizeInput = (size) => ({ width: String(size.width), height: String(size.height) });
+
+const PRESET_GROUPS = getPresetGroups();
 
 function NoCrop() {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [previews, setPreviews] = useState([]);
-  const [ratio, setRatio] = useState('4:5');
+  // A preset picked on either page carries over, it selects its exact size here
+  const [preset, setPreset] = useState(getStoredPreset);
+  const [ratio, setRatio] = useState(() => (getStoredPreset() ? 'exact' : '4:5'));
+  const [customRatio, setCustomRatio] = useState('1.91:1');
+  const [tempCustomRatio, setTempCustomRatio] = useState('1.91:1');
+  const [exactSize, setExactSize] = useState(
+    () => toSizeInput(getStoredPreset()?.size || { width: 1080, height: 1350 })
+  );
+  const [tempExactSize, setTempExactSize] = useState(exactSize);
   const [color, setColor] = useState('#000000');
   const [tempColor, setTempColor] = useState('#000000');
+  const [backgroundType, setBackgroundType] = useState('color');
+  const [gradientColor, setGradientColor] = useState('#ffffff');
+  const [tempGradientColor, setTempGradientColor] = useState('#ffffff');
+  const [blurStrength, setBlurStrength] = useState(16);
+  const [tempBlurStrength, setTempBlurStrength] = useState(16);
+  const [alignmentMode, setAlignmentMode] = useState('center');
+  const [customAlignment, setCustomAlignment] = useState(DEFAULT_ALIGNMENT);
+  const [tempCustomAlignment, setTempCustomAlignment] = useState(DEFAULT_ALIGNMENT);
+  const [margin, setMargin] = useState({ value: 0, unit: 'px' });
+  const [tempMarginValue, setTempMarginValue] = useState('0');
+  const [output, setOutput] = useState(() => {
+    const storedPreset = getStoredPreset();
+    return storedPreset ? withPresetOutput(DEFAULT_OUTPUT, storedPreset) : DEFAULT_OUTPUT;
+  });
+  const [metadataPolicy, setMetadataPolicy] = useState(DEFAULT_METADATA_POLICY);
+  const [print, setPrint] = useState(DEFAULT_PRINT);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingProgress, setProcessingProgress] = useState([]);
   const [results, setResults] = useState([]);
   const [error, setError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [isPreparingFiles, setIsPreparingFiles] = useState(false);
+  const [zipProgress, setZipProgress] = useState(null);
+  // Chosen per session, local mode is also used whenever the server is down
+  const [processingMode, setProcessingMode] = useState(getStoredProcessingMode);
   const fileInputRef = useRef(null);
   const dragCounterRef = useRef(0);
+  const abortControllersRef = useRef(new Map());
+  const { capabilities, isServerAvailable } = useConnection();
+  const maxImages = capabilities.maxImages;
+  const isLocalProcessing = processingMode === 'local' || !isServerAvailable;
+  // Adding files while others are still being read would pass the limit check twice
+  const isUploadLocked = isProcessing || isPreparingFiles;
+  const isGradient = backgroundType === 'linear-gradient' || backgroundType === 'radial-gradient';
+  const usesColor = backgroundType === 'color' || isGradient;
+  const paddingColors = isGradient ? [color, gradientColor] : [color];
+  const hasTransparentPadding = usesColor && paddingColors.some(hasTransparency);
+  const previewBackgroundStyle = getPreviewBackgroundStyle(
+    hasTransparentPadding ? 'transparent' : color
+  );
+
+  // Memoized so the preview effect only reruns when the fill really changes
+  const background = useMemo(
+    () => buildBackground(backgroundType, { color, gradientColor, blurStrength }),
+    [backgroundType, color, gradientColor, blurStrength]
+  );
+
+  // Pixel size and guides of the print, null outside print mode
+  const printLayout = useMemo(() => (ratio === 'print' ? getPrintLayout(print) : null), [ratio, print]);
+  const previewGuides = print.guides ? printLayout : null;
 
-  // Generate previews when files, ratio, or color changes
+  // Ratio and optional exact pixel size, null while the custom input is invalid
+  const outputTarget = useMemo(() => {
+    if (ratio === 'custom') {
+      const parsed = parseRatio(customRatio);
+      return parsed ? { ratio: parsed } : null;
+    }
+    if (ratio === 'exact') {
+      const size = parseOutputSize(exactSize.width, exactSize.height);
+      // The ratio is sent too, it is implied by the size
+      return size ? { ratio: `${size.width}:${size.height}`, size } : null;
+    }
+    if (printLayout) {
+      const size = parseOutputSize(printLayout.width, printLayout.height);
+      return size ? { ratio: `${size.width}:${size.height}`, size, print: getPrintMetadata(print) } : null;
+    }
+    return { ratio };
+  }, [ratio, customRatio, exactSize, printLayout, print]);
+
+  const alignment = alignmentMode === 'custom'
+    ? customAlignment
+    : ALIGNMENT_PRESETS.find((option) => option.value === alignmentMode).alignment;
+
+  // Ratio targets grow the canvas around each image, extreme ratios or
+  // margins would ask for canvases no browser or the server can allocate
+  const oversizedCanvas = useMemo(() => {
+    if (!outputTarget || outputTarget.size) return null;
+
+    for (const fileObj of selectedFiles) {
+      const { width, height } = fileObj.dimensions;
+      const { canvasWidth, canvasHeight } = calculatePaddedCanvas(width, height, {
+        ...outputTarget,
+        margin,
+      });
+      if (Math.max(canvasWidth, canvasHeight) > MAX_OUTPUT_DIMENSION) {
+        return { name: fileObj.name, width: canvasWidth, height: canvasHeight };
+      }
+    }
+    return null;
+  }, [outputTarget, selectedFiles, margin]);
+
+  const processOptions = useMemo(
+    () =>
+      outputTarget && !oversizedCanvas
+        ? {
+            ...outputTarget,
+            alignment,
+            // Prints keep the whole image inside the safe area, nothing is cut off
+            margin: printLayout ? withPrintMargin(margin, printLayout) : margin,
+            background,
+            output,
+            metadataPolicy,
+          }
+        : null,
+    [outputTarget, oversizedCanvas, alignment, margin, printLayout, background, output, metadataPolicy]
+  );
+
+  // Generate previews when files or output options change
   useEffect(() => {
     if (selectedFiles.length === 0) {
       setPreviews([]);
       return;
     }
+    // Keep the last previews until the custom input is valid again
+    if (!processOptions) return;
 
     const generatePreviews = async () => {
       const newPreviews = await Promise.all(
         selectedFiles.map(async (fileObj) => {
           try {
-            const preview = await createImagePreview(fileObj.file, ratio, color);
-            return { id: fileObj.id, url: preview, status: 'ready' };
+            const preview = await createImagePreview(fileObj.file, processOptions, {
+              guides: previewGuides,
+            });
+            return { id: fileObj.id, ...preview, status: 'ready' };
           } catch (err) {
             console.error('Failed to generate preview:', err);
             return { id: fileObj.id, url: null, status: 'error' };
@@ -52,31 +274,89 @@ function NoCrop() {
     };
 
     generatePreviews();
-  }, [selectedFiles, ratio, color]);
+  }, [selectedFiles, processOptions, previewGuides]);
 
-  // Handler for color change (only update display, not trigger preview)
-  const handleColorChange = (e) => {
-    setTempColor(e.target.value);
+  const handleProcessingModeChange = (mode) => {
+    setProcessingMode(mode);
+    storeProcessingMode(mode);
   };
 
-  // Handler for color input mouse up (update actual color and trigger preview)
-  const handleColorCommit = (e) => {
-    setColor(e.target.value);
+  // Transparent padding is lost in formats without alpha, switch to one that has it
+  const ensureAlphaOutput = (value) => {
+    if (hasTransparency(value)) setOutput(withAlphaFormat);
   };
 
-  const validateFile = (file) => {
-    if (!file.type.match('image/(jpeg|jpg|png)')) {
-      return { valid: false, error: 'Invalid file type (JPEG or PNG only)' };
+  // Handler for color picker release (update actual color and trigger preview)
+  const handleColorCommit = (value) => {
+    setColor(value);
+    ensureAlphaOutput(value);
+  };
+
+  const handleGradientColorCommit = (value) => {
+    setGradientColor(value);
+    ensureAlphaOutput(value);
+  };
+
+  const handleBlurStrengthCommit = (e) => {
+    setBlurStrength(Number(e.target.value));
+  };
+
+  const handleCustomAlignmentCommit = () => {
+    setCustomAlignment(tempCustomAlignment);
+  };
+
+  const handleMarginCommit = () => {
+    const value = Math.max(0, Number(tempMarginValue) || 0);
+    setTempMarginValue(String(value));
+    setMargin((prev) => ({ ...prev, value }));
+  };
+
+  const handleExactSizeChange = (dimension, value) => {
+    setTempExactSize((prev) => ({ ...prev, [dimension]: value }));
+  };
+
+  const clearPreset = () => {
+    setPreset(null);
+    storePreset(null);
+  };
+
+  const handleExactSizeCommit = () => {
+    setExactSize(tempExactSize);
+    // A hand-edited size no longer matches the preset
+    if (
+      preset &&
+      (Number(tempExactSize.width) !== preset.size.width ||
+        Number(tempExactSize.height) !== preset.size.height)
+    ) {
+      clearPreset();
     }
-    return { valid: true };
   };
 
-  const addFiles = (files) => {
+  const handleRatioChange = (value) => {
+    setRatio(value);
+    clearPreset();
+  };
+
+  const handlePresetChange = (id) => {
+    const nextPreset = getPreset(id);
+    setPreset(nextPreset);
+    storePreset(nextPreset?.id);
+
+    if (nextPreset) {
+      const size = toSizeInput(nextPreset.size);
+      setRatio('exact');
+      setExactSize(size);
+      setTempExactSize(size);
+      setOutput((prev) => withPresetOutput(prev, nextPreset));
+    }
+  };
+
+  const addFiles = async (files) => {
     const fileArray = Array.from(files);
-    const remainingSlots = MAX_IMAGES - selectedFiles.length;
+    const remainingSlots = maxImages - selectedFiles.length;
 
     if (remainingSlots <= 0) {
-      setError(`Maximum ${MAX_IMAGES} images allowed`);
+      setError(`Maximum ${maxImages} images allowed`);
       return;
     }
 
@@ -84,22 +364,47 @@ function NoCrop() {
     const validFiles = [];
     const errors = [];
 
-    filesToAdd.forEach((file) => {
-      const validation = validateFile(file);
-      if (validation.valid) {
-        validFiles.push({
-          id: `${Date.now()}-${Math.random()}`,
-          file: file,
-          name: file.name,
-          size: file.size,
-        });
-      } else {
-        errors.push(`${file.name}: ${validation.error}`);
+    // One at a time, converting HEIC or TIFF takes a lot of memory
+    setIsPreparingFiles(true);
+    try {
+      for (const file of filesToAdd) {
+        const validation = await validateImageFile(file, capabilities);
+        if (!validation.valid) {
+          errors.push(`${file.name}: ${validation.error}`);
+          continue;
+        }
+
+        try {
+          const drawableFile = await prepareImageFile(file, validation.type, capabilities);
+          // Converting can grow a file past the limit the original passed
+          const sizeError = getFileSizeError(drawableFile, capabilities);
+          if (sizeError) {
+            errors.push(`${file.name}: ${sizeError} after conversion`);
+            continue;
+          }
+          validFiles.push({
+            id: `${Date.now()}-${Math.random()}`,
+            file: drawableFile,
+            name: file.name,
+            size: drawableFile.size,
+            // Converted files have no metadata left to keep
+            converted: needsConversion(validation.type, capabilities),
+            // Upright size, ratio targets are checked against it before anything is drawn
+            dimensions: await getImageDimensions(drawableFile),
+          });
+        } catch (err) {
+          console.error('Failed to convert image:', err);
+          errors.push(`${file.name}: This image could not be read`);
+        }
       }
-    });
+    } finally {
+      // Reading a file can fail too, the upload area must not stay locked
+      setIsPreparingFiles(false);
+    }
 
     if (validFiles.length > 0) {
-      setSelectedFiles((prev) => [...prev, ...validFiles]);
+      // Checked again against the files added in the meantime
+      setSelectedFiles((prev) => [...prev, ...validFiles].slice(0, maxImages));
       setResults([]);
       setError(null);
     }
@@ -109,7 +414,7 @@ function NoCrop() {
     }
 
     if (filesToAdd.length < fileArray.length) {
-      setError(`Only first ${remainingSlots} images were added (max ${MAX_IMAGES})`);
+      setError(`Only first ${remainingSlots} images were added (max ${maxImages})`);
     }
   };
 
@@ -159,12 +464,82 @@ function NoCrop() {
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+  const updateFileProgress = (fileId, stage, progress) => {
+    setProcessingProgress((prev) =>
+      prev.map((p) => (p.id === fileId ? { ...p, stage, progress } : p))
+    );
+  };
+
+  const processFile = async (fileObj) => {
+    const controller = new AbortController();
+    abortControllersRef.current.set(fileObj.id, controller);
+
+    try {
+      let processResult;
+      // Image-dependent fills are resolved here so server and preview agree
+      const fileOptions = {
+        ...processOptions,
+        background: await resolveBackground(fileObj.file, background),
+      };
+
+      if (isLocalProcessing) {
+        updateFileProgress(fileObj.id, 'processing', 0);
+        processResult = await processImageLocally(fileObj.file, fileOptions, controller.signal);
+      } else {
+        // Update progress for current file
+        updateFileProgress(fileObj.id, 'uploading', 0);
+
+        processResult = await uploadAndProcessImage(
+          fileObj.file,
+          fileOptions,
+          (progressData) => {
+            updateFileProgress(fileObj.id, progressData.stage, progressData.progress);
+          },
+          controller.signal
+        );
+      }
+
+      // Mark as completed
+      updateFileProgress(fileObj.id, 'completed', 100);
+
+      return {
+        id: fileObj.id,
+        name: fileObj.name,
+        result: processResult,
+        // Checked against the preset active when this file was processed
+        warnings: getPresetWarnings(preset, processResult.metadata, processResult.filename),
+        status: 'success',
+      };
+    } catch (err) {
+      if (isAbortError(err)) {
+        updateFileProgress(fileObj.id, 'cancelled', 0);
+
+        return {
+          id: fileObj.id,
+          name: fileObj.name,
+          error: getErrorMessage(err),
+          status: 'cancelled',
+        };
+      }
+
+      console.error(`Error processing ${fileObj.name}:`, err);
+      updateFileProgress(fileObj.id, 'error', 0);
+
+      // Let the connection indicator catch up instead of waiting for the next poll
+      if (err.code === API_ERROR_CODES.NETWORK) {
+        refreshConnection();
+      }
+
+      return {
+        id: fileObj.id,
+        name: fileObj.name,
+        error: getErrorMessage(err),
+        retryable: canRetry(err),
+        status: 'error',
+      };
+    } finally {
+      abortControllersRef.current.delete(fileObj.id);
+    }
   };
 
   const handleProcess = async () => {
@@ -175,6 +550,7 @@ function NoCrop() {
 
     setIsProcessing(true);
     setError(null);
+    revokeLocalResults(results);
     setResults([]);
 
     const progressArray = selectedFiles.map((f) => ({
@@ -184,69 +560,52 @@ function NoCrop() {
     }));
     setProcessingProgress(progressArray);
 
-    const processedResults = [];
+    // Files run in parallel, the upload scheduler caps how many requests are in flight
+    const processedResults = await Promise.all(selectedFiles.map(processFile));
 
-    for (let i = 0; i < selectedFiles.length; i++) {
-      const fileObj = selectedFiles[i];
+    // Everything was cancelled: stay on the selection so the user can adjust and retry
+    if (processedResults.some((r) => r.status !== 'cancelled')) {
+      setResults(processedResults);
+    }
+    setIsProcessing(false);
+  };
 
-      try {
-        // Update progress for current file
-        setProcessingProgress((prev) =>
-          prev.map((p) =>
-            p.id === fileObj.id ? { ...p, stage: 'uploading', progress: 0 } : p
-          )
-        );
+  // Run a failed image again, the other results stay as they are
+  const handleRetry = async (resultId) => {
+    const fileObj = selectedFiles.find((f) => f.id === resultId);
+    if (!fileObj) return;
 
-        const processResult = await uploadAndProcessImage(
-          fileObj.file,
-          ratio,
-          color,
-          (progressData) => {
-            setProcessingProgress((prev) =>
-              prev.map((p) =>
-                p.id === fileObj.id
-                  ? { ...p, stage: progressData.stage, progress: progressData.progress }
-                  : p
-              )
-            );
-          }
-        );
+    setResults((prev) =>
+      prev.map((r) => (r.id === resultId ? { ...r, status: 'retrying' } : r))
+    );
 
-        processedResults.push({
-          id: fileObj.id,
-          name: fileObj.name,
-          result: processResult,
-          status: 'success',
-        });
-
-        // Mark as completed
-        setProcessingProgress((prev) =>
-          prev.map((p) =>
-            p.id === fileObj.id ? { ...p, stage: 'completed', progress: 100 } : p
-          )
-        );
-      } catch (err) {
-        console.error(`Error processing ${fileObj.name}:`, err);
-        processedResults.push({
-          id: fileObj.id,
-          name: fileObj.name,
-          error: err.message,
-          status: 'error',
-        });
-
-        setProcessingProgress((prev) =>
-          prev.map((p) =>
-            p.id === fileObj.id ? { ...p, stage: 'error', progress: 0 } : p
-          )
-        );
-      }
-    }
+    const retried = await processFile(fileObj);
+    setResults((prev) => prev.map((r) => (r.id === resultId ? retried : r)));
+  };
 
-    setResults(processedResults);
-    setIsProcessing(false);
+  // Cancel a single file, the rest of the batch keeps going
+  const handleCancelFile = (fileId, e) => {
+    e.stopPropagation();
+    abortControllersRef.current.get(fileId)?.abort();
   };
 
-  const handleDownload = (downloadUrl) => {
+  const handleCancelAll = () => {
+    abortControllersRef.current.forEach((controller) => controller.abort());
+  };
+
+  const handleDownload = (result) => {
+    if (result.localUrl) {
+      // Processed in the browser, the file is already here
+      const link = document.createElement('a');
+      link.href = result.localUrl;
+      link.download = result.filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      return;
+    }
+
+    const { downloadUrl } = result;
     if (downloadUrl) {
       // downloadUrl is already full path like "/api/process/download/507f1f77bcf86cd799439011"
       const fullUrl = `${import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000'}${downloadUrl}`;
@@ -262,17 +621,36 @@ function NoCrop() {
   };
 
   const handleDownloadAll = async () => {
-    const successResults = results.filter((r) => r.status === 'success' && r.result?.downloadUrl);
+    const successResults = results.filter(
+      (r) => r.status === 'success' && (r.result?.downloadUrl || r.result?.localUrl)
+    );
 
     if (successResults.length === 0) return;
 
-    // Download sequentially with delay to avoid browser blocking
-    for (let i = 0; i < successResults.length; i++) {
-      await new Promise((resolve) => {
-        handleDownload(successResults[i].result.downloadUrl);
-        // Wait 500ms between downloads
-        setTimeout(resolve, 500);
-      });
+    const total = successResults.length;
+    setZipProgress({ done: 0, total });
+    setError(null);
+
+    try {
+      let zipBlob;
+      try {
+        zipBlob = await createResultsZip(successResults, (done) => setZipProgress({ done, total }));
+      } catch (err) {
+        // The server can bundle its own results when the browser cannot fetch them
+        const serverSupportsZip = capabilities.features?.includes('zip');
+        const allOnServer = successResults.every((r) => r.result.downloadUrl);
+        if (!serverSupportsZip || !allOnServer) throw err;
+
+        console.warn('Client-side ZIP failed, using the server:', err);
+        zipBlob = await downloadResultsZip(successResults.map((r) => r.result.downloadUrl));
+      }
+
+      saveBlob(zipBlob, `nocrop_images_${Date.now()}.zip`);
+    } catch (err) {
+      console.error('Download all failed:', err);
+      setError(`Failed to download ZIP. ${getErrorMessage(err)}`);
+    } finally {
+      setZipProgress(null);
     }
   };
 
@@ -282,6 +660,7 @@ function NoCrop() {
   };
 
   const handleReset = () => {
+    revokeLocalResults(results);
     setSelectedFiles([]);
     setPreviews([]);
     setResults([]);
@@ -305,13 +684,14 @@ function NoCrop() {
     if (stage === 'processing') return 'Processing...';
     if (stage === 'completed') return 'Completed!';
     if (stage === 'error') return 'Error!';
+    if (stage === 'cancelled') return 'Cancelled';
     return '';
   };
 
   return (
     <div className="app-container">
       <p className="app-subtitle">
-        Add padding to your images without cropping (Max {MAX_IMAGES} images)
+        Add padding to your images without cropping (Max {maxImages} images)
       </p>
 
       {error && (
@@ -321,33 +701,45 @@ function NoCrop() {
         </div>
       )}
 
+      <PendingUploads refreshKey={isProcessing} />
+
+      {!isServerAvailable && results.length === 0 && (
+        <div className="offline-section">
+          Server unavailable. Images will be processed locally in your browser until the
+          server is back.
+        </div>
+      )}
+
       {results.length === 0 && (
         <>
           <div
-            className={`upload-section ${isDragging ? 'dragging' : ''} ${isProcessing ? 'disabled' : ''}`}
-            onDragEnter={isProcessing ? undefined : handleDragEnter}
-            onDragLeave={isProcessing ? undefined : handleDragLeave}
-            onDragOver={isProcessing ? undefined : handleDragOver}
-            onDrop={isProcessing ? undefined : handleDrop}
+            className={`upload-section ${isDragging ? 'dragging' : ''} ${isUploadLocked ? 'disabled' : ''}`}
+            onDragEnter={isUploadLocked ? undefined : handleDragEnter}
+            onDragLeave={isUploadLocked ? undefined : handleDragLeave}
+            onDragOver={isUploadLocked ? undefined : handleDragOver}
+            onDrop={isUploadLocked ? undefined : handleDrop}
           >
-            <div className="upload-area" onClick={isProcessing ? undefined : handleUploadAreaClick}>
+            <div className="upload-area" onClick={isUploadLocked ? undefined : handleUploadAreaClick}>
               <div className="upload-icon">+</div>
               <div className="upload-text">
-                {selectedFiles.length > 0
-                  ? `${selectedFiles.length} image(s) selected - Add more`
-                  : 'Click or Drag & Drop Images'}
+                {isPreparingFiles
+                  ? 'Reading images...'
+                  : selectedFiles.length > 0
+                    ? `${selectedFiles.length} image(s) selected - Add more`
+                    : 'Click or Drag & Drop Images'}
               </div>
               <div className="upload-hint">
-                Supports JPEG and PNG • Max {MAX_IMAGES} images • Max 50MB per chunk
+                Supports {describeFormats(ACCEPTED_INPUT_TYPES)} • Max {maxImages} images
+                {capabilities.maxFileSize && ` • Max ${formatFileSize(capabilities.maxFileSize)} per file`}
               </div>
               <input
                 ref={fileInputRef}
                 type="file"
                 className="file-input"
-                accept="image/jpeg,image/jpg,image/png"
+                accept={INPUT_ACCEPT}
                 multiple
                 onChange={handleFileSelect}
-                disabled={isProcessing}
+                disabled={isUploadLocked}
               />
             </div>
 
@@ -355,19 +747,35 @@ function NoCrop() {
               <div className="files-grid">
                 {selectedFiles.map((fileObj) => {
                   const preview = previews.find((p) => p.id === fileObj.id);
-                  const bgColor = getContrastingBackground(color);
+                  const progress = processingProgress.find((p) => p.id === fileObj.id);
+                  const isCancellable =
+                    isProcessing && !['completed', 'error', 'cancelled'].includes(progress?.stage);
+                  const effectiveDpi =
+                    printLayout && preview?.sourceScale
+                      ? getEffectiveDpi(print.dpi, preview.sourceScale)
+                      : null;
                   return (
                     <div key={fileObj.id} className="file-card">
                       {preview?.url ? (
                         <div
                           className="file-preview"
-                          style={{ backgroundColor: bgColor }}
+                          style={previewBackgroundStyle}
                         >
-                          <img src={preview.url} alt={fileObj.name} />
+                          <img src={preview.guidesUrl || preview.url} alt={fileObj.name} />
                         </div>
                       ) : (
                         <div className="file-preview-loading">Loading...</div>
                       )}
+                      {effectiveDpi !== null && effectiveDpi < MIN_PRINT_DPI && (
+                        <div className="file-card-warning">
+                          ⚠ Prints at {effectiveDpi} DPI, it may look soft
+                        </div>
+                      )}
+                      {isProcessing && progress && (
+                        <div className={`file-card-progress ${progress.stage}`}>
+                          {getProgressText(progress.stage, progress.progress)}
+                        </div>
+                      )}
                       <div className="file-card-info">
                         <div className="file-card-name" title={fileObj.name}>
                           {fileObj.name}
@@ -376,14 +784,24 @@ function NoCrop() {
                           {formatFileSize(fileObj.size)}
                         </div>
                       </div>
-                      <button
-                        className="file-card-remove"
-                        onClick={(e) => handleRemoveFile(fileObj.id, e)}
-                        title="Remove"
-                        disabled={isProcessing}
-                      >
-                        ×
-                      </button>
+                      {isProcessing ? (
+                        <button
+                          className="file-card-remove cancel"
+                          onClick={(e) => handleCancelFile(fileObj.id, e)}
+                          title="Cancel this image"
+                          disabled={!isCancellable}
+                        >
+                          ×
+                        </button>
+                      ) : (
+                        <button
+                          className="file-card-remove"
+                          onClick={(e) => handleRemoveFile(fileObj.id, e)}
+                          title="Remove"
+                        >
+                          ×
+                        </button>
+                      )}
                     </div>
                   );
                 })}
@@ -398,48 +816,317 @@ function NoCrop() {
 
           <div className="controls-section">
             <div className="controls-row">
+              <div className="control-group">
+                <label className="control-label">Platform Preset</label>
+                <select
+                  className="ratio-select"
+                  value={preset?.id || ''}
+                  onChange={(e) => handlePresetChange(e.target.value)}
+                  disabled={isProcessing}
+                >
+                  <option value="">None</option>
+                  {PRESET_GROUPS.map((group) => (
+                    <optgroup key={group.platform} label={group.platform}>
+                      {group.presets.map((option) => (
+                        <option key={option.id} value={option.id}>
+                          {getPresetLabel(option)}
+                        </option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+                {preset && (
+                  <p className="control-hint">
+                    Max {formatFileSize(preset.maxFileSize)} •{' '}
+                    {preset.formats.map((format) => format.toUpperCase()).join(', ')}
+                  </p>
+                )}
+                {getPresetOutputWarnings(preset, output).map((warning) => (
+                  <p key={warning} className="control-error">
+                    ⚠ {warning}
+                  </p>
+                ))}
+              </div>
+
               <div className="control-group">
                 <label className="control-label">Aspect Ratio</label>
                 <select
                   className="ratio-select"
                   value={ratio}
-                  onChange={(e) => setRatio(e.target.value)}
+                  onChange={(e) => handleRatioChange(e.target.value)}
                   disabled={isProcessing}
                 >
-                  {RATIO_OPTIONS.map((option) => (
+                  {NOCROP_RATIO_OPTIONS.map((option) => (
                     <option key={option.value} value={option.value}>
                       {option.label}
                     </option>
                   ))}
                 </select>
+                {oversizedCanvas && (
+                  <p className="control-error">
+                    {oversizedCanvas.name} would be {oversizedCanvas.width} × {oversizedCanvas.height} px,
+                    choose a less extreme ratio or a smaller margin (max {MAX_OUTPUT_DIMENSION} px)
+                  </p>
+                )}
               </div>
 
-              <div className="control-group">
-                <label className="control-label">Padding Color</label>
-                <div className="color-input-wrapper">
+              {ratio === 'custom' && (
+                <div className="control-group">
+                  <label className="control-label">Custom Ratio (w:h)</label>
                   <input
-                    type="color"
-                    className="color-input"
+                    type="text"
+                    className="text-input"
+                    value={tempCustomRatio}
+                    placeholder="1.91:1"
+                    onChange={(e) => setTempCustomRatio(e.target.value)}
+                    onBlur={() => setCustomRatio(tempCustomRatio)}
+                    onKeyDown={commitOnEnter}
+                    disabled={isProcessing}
+                  />
+                  {!outputTarget && (
+                    <p className="control-error">Enter a ratio like 4:5 or 1.91:1</p>
+                  )}
+                </div>
+              )}
+
+              {ratio === 'exact' && (
+                <div className="control-group">
+                  <label className="control-label">Exact Size (px)</label>
+                  <div className="size-input-wrapper">
+                    <input
+                      type="number"
+                      className="text-input"
+                      min="1"
+                      max={MAX_OUTPUT_DIMENSION}
+                      value={tempExactSize.width}
+                      aria-label="Width in pixels"
+                      onChange={(e) => handleExactSizeChange('width', e.target.value)}
+                      onBlur={handleExactSizeCommit}
+                      onKeyDown={commitOnEnter}
+                      disabled={isProcessing}
+                    />
+                    <span className="size-separator">×</span>
+                    <input
+                      type="number"
+                      className="text-input"
+                      min="1"
+                      max={MAX_OUTPUT_DIMENSION}
+                      value={tempExactSize.height}
+                      aria-label="Height in pixels"
+                      onChange={(e) => handleExactSizeChange('height', e.target.value)}
+                      onBlur={handleExactSizeCommit}
+                      onKeyDown={commitOnEnter}
+                      disabled={isProcessing}
+                    />
+                  </div>
+                  {!outputTarget && (
+                    <p className="control-error">
+                      Enter whole pixel sizes up to {MAX_OUTPUT_DIMENSION}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {ratio === 'print' && (
+                <div className="control-group">
+                  <label className="control-label">Print Size</label>
+                  <PrintSettings
+                    value={print}
+                    onChange={setPrint}
+                    disabled={isProcessing}
+                    localOnly={isLocalProcessing}
+                  />
+                </div>
+              )}
+
+              <div className="control-group">
+                <label className="control-label">Padding Fill</label>
+                <select
+                  className="ratio-select"
+                  value={backgroundType}
+                  onChange={(e) => setBackgroundType(e.target.value)}
+                  disabled={isProcessing}
+                >
+                  {BACKGROUND_TYPES.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {usesColor && (
+                <div className="control-group">
+                  <label className="control-label">
+                    {isGradient ? 'Gradient Start' : 'Padding Color'}
+                  </label>
+                  <ColorPicker
                     value={tempColor}
-                    onChange={handleColorChange}
-                    onMouseUp={handleColorCommit}
-                    onBlur={handleColorCommit}
+                    onChange={setTempColor}
+                    onCommit={handleColorCommit}
+                    disabled={isProcessing}
+                  />
+                </div>
+              )}
+
+              {isGradient && (
+                <div className="control-group">
+                  <label className="control-label">Gradient End</label>
+                  <ColorPicker
+                    value={tempGradientColor}
+                    onChange={setTempGradientColor}
+                    onCommit={handleGradientColorCommit}
+                    disabled={isProcessing}
+                  />
+                </div>
+              )}
+
+              {backgroundType === 'blur' && (
+                <div className="control-group">
+                  <label className="control-label">Blur Strength</label>
+                  <input
+                    type="range"
+                    className="range-input"
+                    min="2"
+                    max="48"
+                    value={tempBlurStrength}
+                    onChange={(e) => setTempBlurStrength(Number(e.target.value))}
+                    onMouseUp={handleBlurStrengthCommit}
+                    onTouchEnd={handleBlurStrengthCommit}
+                    onKeyUp={handleBlurStrengthCommit}
+                    disabled={isProcessing}
+                  />
+                </div>
+              )}
+
+              <div className="control-group">
+                <label className="control-label">Image Position</label>
+                <select
+                  className="ratio-select"
+                  value={alignmentMode}
+                  onChange={(e) => setAlignmentMode(e.target.value)}
+                  disabled={isProcessing}
+                >
+                  {ALIGNMENT_PRESETS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                  <option value="custom">Custom offset…</option>
+                </select>
+                {alignmentMode === 'custom' && (
+                  <div className="offset-inputs">
+                    {['x', 'y'].map((axis) => (
+                      <label key={axis} className="offset-input">
+                        <span>
+                          {axis === 'x' ? 'Horizontal' : 'Vertical'}{' '}
+                          {Math.round(tempCustomAlignment[axis] * 100)}%
+                        </span>
+                        <input
+                          type="range"
+                          className="range-input"
+                          min="0"
+                          max="100"
+                          value={Math.round(tempCustomAlignment[axis] * 100)}
+                          onChange={(e) =>
+                            setTempCustomAlignment((prev) => ({
+                              ...prev,
+                              [axis]: Number(e.target.value) / 100,
+                            }))
+                          }
+                          onMouseUp={handleCustomAlignmentCommit}
+                          onTouchEnd={handleCustomAlignmentCommit}
+                          onKeyUp={handleCustomAlignmentCommit}
+                          disabled={isProcessing}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="control-group">
+                <label className="control-label">Minimum Margin</label>
+                <div className="size-input-wrapper">
+                  <input
+                    type="number"
+                    className="text-input"
+                    min="0"
+                    max={margin.unit === '%' ? MAX_MARGIN_PERCENT : undefined}
+                    value={tempMarginValue}
+                    aria-label="Minimum margin"
+                    onChange={(e) => setTempMarginValue(e.target.value)}
+                    onBlur={handleMarginCommit}
+                    onKeyDown={commitOnEnter}
                     disabled={isProcessing}
                   />
-                  <span className="color-hex">{tempColor.toUpperCase()}</span>
+                  <select
+                    className="ratio-select unit-select"
+                    value={margin.unit}
+                    onChange={(e) => setMargin((prev) => ({ ...prev, unit: e.target.value }))}
+                    disabled={isProcessing}
+                  >
+                    <option value="px">px</option>
+                    <option value="%">%</option>
+                  </select>
                 </div>
               </div>
+
+              <div className="control-group">
+                <label className="control-label">Output Format</label>
+                <OutputSettings
+                  value={output}
+                  onChange={setOutput}
+                  disabled={isProcessing}
+                  needsAlpha={hasTransparentPadding}
+                />
+              </div>
+
+              <div className="control-group">
+                <label className="control-label">Metadata</label>
+                <MetadataSettings
+                  value={metadataPolicy}
+                  onChange={setMetadataPolicy}
+                  disabled={isProcessing}
+                  localOnly={isLocalProcessing}
+                  convertedFiles={selectedFiles
+                    .filter((fileObj) => fileObj.converted)
+                    .map((fileObj) => fileObj.name)}
+                />
+              </div>
+
+              <div className="control-group">
+                <label className="control-label">Processing</label>
+                <select
+                  className="ratio-select"
+                  value={isLocalProcessing ? 'local' : processingMode}
+                  onChange={(e) => handleProcessingModeChange(e.target.value)}
+                  disabled={isProcessing || !isServerAvailable}
+                >
+                  {PROCESSING_MODES.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </div>
 
             <button
               className="process-button"
               onClick={handleProcess}
-              disabled={selectedFiles.length === 0 || isProcessing}
+              disabled={selectedFiles.length === 0 || isProcessing || !processOptions}
             >
               {isProcessing
                 ? `Processing ${selectedFiles.length} image(s)...`
                 : `Process ${selectedFiles.length} image(s)`}
             </button>
+
+            {isProcessing && (
+              <button className="cancel-all-button" onClick={handleCancelAll}>
+                Cancel All
+              </button>
+            )}
           </div>
         </>
       )}
@@ -480,9 +1167,9 @@ function NoCrop() {
               <button
               className="download-all-button"
               onClick={handleDownloadAll}
-              disabled={results.filter((r) => r.status === 'success').length === 0}
+              disabled={results.filter((r) => r.status === 'success').length === 0 || zipProgress !== null}
             >
-              Download All
+              {zipProgress ? `Zipping ${zipProgress.done}/${zipProgress.total}...` : 'Download All (ZIP)'}
             </button>
             <button className="reset-button" onClick={handleReset}>
               Process More
@@ -493,19 +1180,18 @@ function NoCrop() {
 
           <div className="results-grid">
             {results.map((result) => {
-              const bgColor = getContrastingBackground(color);
               const preview = previews.find((p) => p.id === result.id);
 
               return (
                 <div
                   key={result.id}
-                  className={`result-card ${result.status === 'error' ? 'error' : ''}`}
+                  className={`result-card ${result.status !== 'success' ? 'error' : ''}`}
                 >
                   {result.status === 'success' ? (
                     <>
                       <div
                         className="result-image-container"
-                        style={{ backgroundColor: bgColor }}
+                        style={previewBackgroundStyle}
                       >
                         {preview?.url ? (
                           <img
@@ -527,6 +1213,14 @@ function NoCrop() {
                               {result.result.metadata.width} × {result.result.metadata.height} •{' '}
                               {formatFileSize(result.result.metadata.size)}
                             </div>
+                            {result.result.local && (
+                              <div className="result-card-expires">Processed locally</div>
+                            )}
+                            {result.warnings?.map((warning) => (
+                              <div key={warning} className="result-card-warning">
+                                ⚠ {warning}
+                              </div>
+                            ))}
                             {result.result.expiresIn && (
                               <div className="result-card-expires">
                                 Expires in: {result.result.expiresIn}
@@ -537,17 +1231,30 @@ function NoCrop() {
                       </div>
                       <button
                         className="result-download-button"
-                        onClick={() => handleDownload(result.result.downloadUrl)}
+                        onClick={() => handleDownload(result.result)}
                         title={`Download ${result.result.filename}`}
                       >
                         Download
                       </button>
                     </>
+                  ) : result.status === 'retrying' ? (
+                    <div className="result-card-error">
+                      <div className="result-card-name">{result.name}</div>
+                      <div className="result-loading">Retrying...</div>
+                    </div>
                   ) : (
                     <div className="result-card-error">
                       <div className="error-icon">!</div>
                       <div className="result-card-name">{result.name}</div>
                       <div className="result-card-error-msg">{result.error}</div>
+                      {result.retryable && (
+                        <button
+                          className="result-retry-button"
+                          onClick={() => handleRetry(result.id)}
+                        >
+                          Retry
+                        </button>
+                      )}
                     </div>
                   )}
                 </div>
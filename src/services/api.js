@@ -1,7 +1,32 @@
 import axios from 'axios';
+import {
+  getFileFingerprint,
+  getUploadRecord,
+  saveUploadRecord,
+  markChunkUploaded,
+  removeUploadRecord,
+  getCompletedUpload,
+  saveCompletedUpload,
+  removeCompletedUpload,
+} from './uploadStore';
+import { hashFile } from '../utils/fileHash';
+import { createTaskScheduler } from '../utils/taskScheduler';
+import { API_ERROR_CODES, isAbortError, toApiError } from './apiError';
+
+export { ApiError, API_ERROR_CODES, isAbortError, getErrorMessage, canRetry } from './apiError';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
 const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks
+const MAX_CHUNK_RETRIES = 5;
+const RETRY_BASE_DELAY = 1000; // 1s, doubled on every attempt
+const RETRY_MAX_DELAY = 30000;
+// How long the server keeps a completed upload, minus a safety margin
+const UPLOAD_REUSE_WINDOW =
+  ((parseInt(import.meta.env.VITE_UPLOAD_EXPIRY_MINUTES) || 60) - 5) * 60 * 1000;
+// Max chunk requests in flight across every file being uploaded
+const UPLOAD_CONCURRENCY = parseInt(import.meta.env.VITE_UPLOAD_CONCURRENCY) || 4;
+
+const createAbortError = (endpoint) => toApiError(new DOMException('Aborted', 'AbortError'), endpoint);
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -15,24 +40,24 @@ export const checkHealth = async () => {
     const response = await api.get('/health');
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.error || 'Failed to check server health');
+    throw toApiError(error, '/health', 'Failed to check server health');
   }
 };
 
-export const initializeUpload = async (filename, totalChunks, fileSize) => {
+export const initializeUpload = async (filename, totalChunks, fileSize, signal) => {
   try {
     const response = await api.post('/api/upload/init', {
       filename,
       totalChunks,
       fileSize,
-    });
+    }, { signal });
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.error || 'Failed to initialize upload');
+    throw toApiError(error, '/api/upload/init', 'Failed to initialize upload');
   }
 };
 
-export const uploadChunk = async (uploadId, chunkIndex, totalChunks, chunk, onProgress) => {
+export const uploadChunk = async (uploadId, chunkIndex, totalChunks, chunk, onProgress, signal) => {
   try {
     const formData = new FormData();
     formData.append('uploadId', uploadId);
@@ -41,46 +66,56 @@ export const uploadChunk = async (uploadId, chunkIndex, totalChunks, chunk, onPr
     formData.append('chunk', chunk);
 
     const response = await api.post('/api/upload/chunk', formData, {
+      signal,
       headers: {
         'Content-Type': 'multipart/form-data',
       },
       onUploadProgress: (progressEvent) => {
-        if (onProgress) {
-          const percentCompleted = Math.round(
-            ((chunkIndex + progressEvent.loaded / progressEvent.total) / totalChunks) * 100
-          );
-          onProgress(percentCompleted, chunkIndex, totalChunks);
+        if (onProgress && progressEvent.total) {
+          // Report bytes of this chunk, the caller aggregates chunks in flight
+          const loadedBytes = Math.round((progressEvent.loaded / progressEvent.total) * chunk.size);
+          onProgress(loadedBytes, chunkIndex, totalChunks);
         }
       },
     });
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.error || `Failed to upload chunk ${chunkIndex}`);
+    throw toApiError(error, '/api/upload/chunk', `Failed to upload chunk ${chunkIndex}`);
   }
 };
 
-export const completeUpload = async (uploadId) => {
+export const completeUpload = async (uploadId, signal) => {
   try {
     const response = await api.post('/api/upload/complete', {
       uploadId,
-    });
+    }, { signal });
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.error || 'Failed to complete upload');
+    throw toApiError(error, '/api/upload/complete', 'Failed to complete upload');
   }
 };
 
-export const processImage = async (uploadId, filename, ratio, color) => {
+/**
+ * `options` carries the output settings:
+ * - `ratio`: "w:h" (decimals allowed) or 'original'
+ * - `size`: optional `{ width, height }`, the exact output canvas in pixels
+ * - `alignment`, `margin`: image placement, see calculatePaddedCanvas in utils/geometry
+ * - `output`: `{ format, quality, maxFileSize }` encoding, see utils/outputFormat
+ * - `background`: the padding fill, see buildBackground in utils/backgroundFill
+ * - `metadataPolicy`: `{ mode, keep }` source metadata to carry over, see utils/metadataPolicy
+ * - `print`: optional `{ width, height, unit, bleed, dpi }` physical size, the output
+ *   embeds `dpi` as its density. See getPrintMetadata in utils/printSizes
+ */
+export const processImage = async (uploadId, filename, options, signal) => {
   try {
     const response = await api.post('/api/process', {
       uploadId,
       filename,
-      ratio,
-      color,
-    });
+      ...options,
+    }, { signal });
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.error || 'Failed to process image');
+    throw toApiError(error, '/api/process', 'Failed to process image');
   }
 };
 
@@ -89,7 +124,35 @@ export const cancelUpload = async (uploadId) => {
     const response = await api.delete(`/api/upload/${uploadId}`);
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.error || 'Failed to cancel upload');
+    throw toApiError(error, '/api/upload/:id', 'Failed to cancel upload');
+  }
+};
+
+/**
+ * Fetch a processed result, `downloadUrl` is the path returned by /api/process
+ */
+export const fetchResultFile = async (downloadUrl, signal) => {
+  try {
+    const response = await api.get(downloadUrl, { responseType: 'blob', signal });
+    return response.data;
+  } catch (error) {
+    throw toApiError(error, '/api/process/download/:file', 'Failed to download result');
+  }
+};
+
+/**
+ * Ask the server to bundle processed results into one ZIP archive
+ */
+export const downloadResultsZip = async (downloadUrls, signal) => {
+  try {
+    const response = await api.post(
+      '/api/process/zip',
+      { downloadUrls },
+      { responseType: 'blob', signal }
+    );
+    return response.data;
+  } catch (error) {
+    throw toApiError(error, '/api/process/zip', 'Failed to create ZIP archive');
   }
 };
 
@@ -97,145 +160,381 @@ export const getDownloadUrl = (filename) => {
   return `${API_BASE_URL}/api/process/download/${filename}`;
 };
 
-export const uploadFileWithChunks = async (file, onProgress) => {
-  const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-  
-  // Step 1: Initialize upload
+// Shared by every upload so parallel files do not multiply the connection count
+export const uploadScheduler = createTaskScheduler(UPLOAD_CONCURRENCY);
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw createAbortError('/api/upload/chunk');
+};
+
+const wait = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError('/api/upload/chunk'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+const waitForOnline = (signal) => {
+  if (typeof navigator === 'undefined' || navigator.onLine) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onOnline = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    const onAbort = () => {
+      window.removeEventListener('online', onOnline);
+      reject(createAbortError('/api/upload/chunk'));
+    };
+    window.addEventListener('online', onOnline, { once: true });
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Upload a single chunk, retrying with exponential backoff.
+ * While the browser is offline, retries wait for the connection to come back.
+ */
+export const uploadChunkWithRetry = async (
+  uploadId,
+  chunkIndex,
+  totalChunks,
+  chunk,
+  onProgress,
+  signal
+) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await uploadScheduler.schedule(() => {
+        // Cancelled while waiting in the queue
+        throwIfAborted(signal);
+        return uploadChunk(uploadId, chunkIndex, totalChunks, chunk, onProgress, signal);
+      });
+    } catch (error) {
+      if (!error.retryable || attempt >= MAX_CHUNK_RETRIES) {
+        throw error;
+      }
+
+      const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+      await wait(delay + Math.random() * RETRY_BASE_DELAY, signal);
+      await waitForOnline(signal);
+    }
+  }
+};
+
+const startUploadSession = async (file, fingerprint, totalChunks, signal) => {
+  if (signal?.aborted) throw createAbortError('/api/upload/init');
+
+  // Not aborted mid-request: the server may create the upload anyway, and
+  // only the response tells which one to cancel
   const { uploadId } = await initializeUpload(file.name, totalChunks, file.size);
-  
-  try {
-    // Step 2: Upload all chunks
-    for (let i = 0; i < totalChunks; i++) {
-      const start = i * CHUNK_SIZE;
-      const end = Math.min(start + CHUNK_SIZE, file.size);
+  if (signal?.aborted) {
+    await cancelUpload(uploadId).catch(() => {});
+    throw createAbortError('/api/upload/init');
+  }
+
+  const record = {
+    fingerprint,
+    uploadId,
+    filename: file.name,
+    fileSize: file.size,
+    totalChunks,
+    chunkSize: CHUNK_SIZE,
+    uploadedChunks: [],
+  };
+  await saveUploadRecord(record);
+  return record;
+};
+
+/**
+ * Find a previous upload session for this file that can be continued
+ */
+const findResumableSession = async (fingerprint, totalChunks) => {
+  const record = await getUploadRecord(fingerprint);
+  if (!record) return null;
+
+  if (record.totalChunks !== totalChunks || record.chunkSize !== CHUNK_SIZE) {
+    await removeUploadRecord(fingerprint);
+    return null;
+  }
+  return record;
+};
+
+const uploadRemainingChunks = async (file, session, onProgress, signal) => {
+  const { uploadId, totalChunks, fingerprint } = session;
+  const uploaded = new Set(session.uploadedChunks);
+  const pending = [];
+  const loadedBytes = new Array(totalChunks).fill(0);
+
+  for (let i = 0; i < totalChunks; i++) {
+    const start = i * CHUNK_SIZE;
+    const end = Math.min(start + CHUNK_SIZE, file.size);
+    if (uploaded.has(i)) {
+      loadedBytes[i] = end - start;
+    } else {
+      pending.push({ index: i, start, end });
+    }
+  }
+
+  // Several chunks are in flight at once, so progress is summed over all of them
+  const reportProgress = () => {
+    if (onProgress) {
+      const loaded = loadedBytes.reduce((sum, bytes) => sum + bytes, 0);
+      onProgress(Math.round((loaded / file.size) * 100), uploaded.size, totalChunks);
+    }
+  };
+  reportProgress();
+
+  let failed = false;
+  const worker = async () => {
+    while (pending.length > 0 && !failed) {
+      const { index, start, end } = pending.shift();
       const chunk = file.slice(start, end);
-      
-      await uploadChunk(uploadId, i, totalChunks, chunk, onProgress);
+
+      try {
+        await uploadChunkWithRetry(
+          uploadId,
+          index,
+          totalChunks,
+          chunk,
+          (bytes) => {
+            loadedBytes[index] = bytes;
+            reportProgress();
+          },
+          signal
+        );
+      } catch (error) {
+        // Stop picking up new chunks, the rest stays pending for a resume
+        failed = true;
+        throw error;
+      }
+
+      await markChunkUploaded(fingerprint, uploadId, index);
+      uploaded.add(index);
+      loadedBytes[index] = end - start;
+      reportProgress();
     }
-    
-    // Step 3: Complete upload
-    const result = await completeUpload(uploadId);
-    return { uploadId, ...result };
-  } catch (error) {
-    // Cancel upload on error
-    await cancelUpload(uploadId).catch(() => {});
-    throw error;
+  };
+
+  const workerCount = Math.min(UPLOAD_CONCURRENCY, pending.length);
+  const results = await Promise.allSettled(
+    Array.from({ length: workerCount }, () => worker())
+  );
+
+  const rejected = results.find((r) => r.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
   }
 };
 
-export const uploadAndProcessImage = async (file, ratio, color, onProgress) => {
+export const uploadFileWithChunks = async (file, onProgress, signal) => {
+  const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+  const fingerprint = getFileFingerprint(file);
+  let session = null;
+
   try {
-    // Upload with chunks
-    const uploadResult = await uploadFileWithChunks(file, (percent) => {
-      if (onProgress) {
-        onProgress({ stage: 'uploading', progress: percent });
+    // Step 1: Resume a previous session for the same file, or initialize a new one
+    session = await findResumableSession(fingerprint, totalChunks);
+
+    // Step 2: Upload the chunks the server has not acknowledged yet
+    if (session) {
+      try {
+        await uploadRemainingChunks(file, session, onProgress, signal);
+      } catch (error) {
+        if (error.code !== API_ERROR_CODES.UPLOAD_EXPIRED) throw error;
+
+        // The server expired the old session, start over once
+        const previousUploadId = session.uploadId;
+        session = await startUploadSession(file, fingerprint, totalChunks, signal);
+        await cancelUpload(previousUploadId).catch(() => {});
+        await uploadRemainingChunks(file, session, onProgress, signal);
       }
-    });
-    
-    if (onProgress) {
-      onProgress({ stage: 'processing', progress: 100 });
+    } else {
+      session = await startUploadSession(file, fingerprint, totalChunks, signal);
+      await uploadRemainingChunks(file, session, onProgress, signal);
     }
-    
-    // Process image
-    const processResult = await processImage(
-      uploadResult.uploadId,
-      file.name,
-      ratio,
-      color
-    );
-    
-    return processResult;
+
+    // Step 3: Complete upload, only once every chunk has been acknowledged
+    // On failure the session is kept so the upload can resume from the last confirmed chunk
+    const result = await completeUpload(session.uploadId, signal);
+    await removeUploadRecord(fingerprint);
+    return { uploadId: session.uploadId, ...result };
   } catch (error) {
+    // A cancelled upload is not meant to be resumed, free it on the server
+    if (isAbortError(error) && session) {
+      await cancelUpload(session.uploadId).catch(() => {});
+      await removeUploadRecord(fingerprint);
+    }
     throw error;
   }
 };
 
 /**
- * Upload multiple images for layout
+ * Drop an interrupted upload, both on the server and locally
  */
-export const uploadImagesForLayout = async (files, onProgress) => {
-  try {
-    const uploadResults = [];
-    
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      
+export const discardPendingUpload = async (record) => {
+  await cancelUpload(record.uploadId).catch(() => {});
+  await removeUploadRecord(record.fingerprint);
+};
+
+/**
+ * Upload a file unless the same content was already uploaded and is still
+ * kept by the server. `reused` tells the caller the upload may have expired early.
+ */
+export const uploadFileDeduplicated = async (file, onProgress, signal) => {
+  const hash = await hashFile(file, CHUNK_SIZE, signal);
+  const cached = hash ? await getCompletedUpload(hash) : null;
+
+  if (cached) {
+    if (onProgress) onProgress(100);
+    return { uploadId: cached.uploadId, hash, reused: true };
+  }
+
+  const result = await uploadFileWithChunks(file, onProgress, signal);
+  if (hash) {
+    await saveCompletedUpload(hash, result.uploadId, Date.now() + UPLOAD_REUSE_WINDOW);
+  }
+  return { ...result, hash, reused: false };
+};
+
+export const uploadAndProcessImage = async (file, options, onProgress, signal) => {
+  const upload = async () => {
+    return uploadFileDeduplicated(file, (percent) => {
       if (onProgress) {
-        onProgress({ 
-          stage: 'uploading', 
-          progress: Math.round((i / files.length) * 100),
-          currentFile: i + 1,
-          totalFiles: files.length
-        });
+        onProgress({ stage: 'uploading', progress: percent });
       }
-      
-      // Upload each file
-      const uploadResult = await uploadFileWithChunks(file, (percent) => {
-        if (onProgress) {
-          const baseProgress = (i / files.length) * 100;
-          const fileProgress = (percent / 100) * (100 / files.length);
-          onProgress({ 
-            stage: 'uploading', 
-            progress: Math.round(baseProgress + fileProgress),
-            currentFile: i + 1,
-            totalFiles: files.length
-          });
-        }
+    }, signal);
+  };
+
+  // Upload with chunks, or reuse an earlier upload of the same content
+  let uploadResult = await upload();
+
+  if (onProgress) {
+    onProgress({ stage: 'processing', progress: 100 });
+  }
+
+  // Process image
+  try {
+    return await processImage(uploadResult.uploadId, file.name, options, signal);
+  } catch (error) {
+    if (!uploadResult.reused || error.code !== API_ERROR_CODES.UPLOAD_EXPIRED) throw error;
+
+    // The reused upload is gone from the server, upload the file again
+    await removeCompletedUpload(uploadResult.hash);
+    uploadResult = await upload();
+    return processImage(uploadResult.uploadId, file.name, options, signal);
+  }
+};
+
+/**
+ * Upload multiple images for layout.
+ * Files upload in parallel (chunk requests share the global upload limit),
+ * results keep the order of `files`.
+ */
+export const uploadImagesForLayout = async (files, onProgress, signal) => {
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0) || 1;
+  const fileProgress = files.map(() => 0);
+  let completedFiles = 0;
+
+  const reportProgress = () => {
+    if (onProgress) {
+      const uploadedBytes = files.reduce(
+        (sum, file, i) => sum + (fileProgress[i] / 100) * file.size,
+        0
+      );
+      onProgress({
+        stage: 'uploading',
+        progress: Math.round((uploadedBytes / totalBytes) * 100),
+        completedFiles,
+        totalFiles: files.length
       });
-      
-      uploadResults.push({
+    }
+  };
+  reportProgress();
+
+  return Promise.all(
+    files.map(async (file, i) => {
+      const uploadResult = await uploadFileDeduplicated(file, (percent) => {
+        fileProgress[i] = percent;
+        reportProgress();
+      }, signal);
+
+      completedFiles++;
+      reportProgress();
+
+      return {
         uploadId: uploadResult.uploadId,
         filename: file.name,
-        originalIndex: i
-      });
-    }
-    
-    return uploadResults;
-  } catch (error) {
-    throw error;
-  }
+        originalIndex: i,
+        hash: uploadResult.hash,
+        reused: uploadResult.reused
+      };
+    })
+  );
 };
 
-export const processLayout = async (layoutData) => {
+export const processLayout = async (layoutData, signal) => {
   try {
-    const response = await api.post('/api/layout/process', layoutData);
+    const response = await api.post('/api/layout/process', layoutData, { signal });
     return response.data;
   } catch (error) {
-    throw new Error(error.response?.data?.error || 'Failed to process layout');
+    throw toApiError(error, '/api/layout/process', 'Failed to process layout');
   }
 };
 
-export const uploadAndCreateLayout = async (files, layoutConfig, imageSettings, onProgress) => {
-  try {
-    // Step 1: Upload all images
-    if (onProgress) {
-      onProgress({ stage: 'uploading', progress: 0 });
-    }
-    
-    const uploadResults = await uploadImagesForLayout(files, onProgress);
-    
-    // Step 2: Prepare layout data
-    if (onProgress) {
-      onProgress({ stage: 'processing', progress: 0 });
-    }
-    
+/**
+ * `images` are `{ file, cell, zoom, offsetX, offsetY, drawRect }`. `cell` is the
+ * index of the template cell the image fills, `zoom` scales it beyond covering
+ * the cell and `offsetX`/`offsetY` move it in pixels of `layoutConfig.dimensions`.
+ * `drawRect` is the resulting placement from computeLayoutGeometry in utils/geometry.
+ */
+export const uploadAndCreateLayout = async (images, layoutConfig, onProgress, signal) => {
+  const files = images.map((image) => image.file);
+
+  // Step 1: Upload all images
+  if (onProgress) {
+    onProgress({ stage: 'uploading', progress: 0 });
+  }
+
+  let uploadResults = await uploadImagesForLayout(files, onProgress, signal);
+
+  // Step 2: Prepare layout data
+  if (onProgress) {
+    onProgress({ stage: 'processing', progress: 0 });
+  }
+
+  const buildLayoutData = (uploads) => {
     const layoutData = {
       layoutType: layoutConfig.layoutType,
+      // Normalized clip rects in cell order, gutters and margin already applied
+      cells: layoutConfig.cells,
       ratio: layoutConfig.ratio,
       backgroundColor: layoutConfig.backgroundColor,
-      images: uploadResults.map((upload, index) => {
-        const setting = imageSettings.find(s => s.index === index) || {};
-        return {
-          uploadId: upload.uploadId,
-          filename: upload.filename,
-          position: index,
-          zoom: setting.zoom || 1.0,
-          offsetX: setting.offsetX || 0,
-          offsetY: setting.offsetY || 0,
-        };
-      }),
+      // Gutter, margin, radius and stroke in output pixels, see DEFAULT_LAYOUT_SPACING
+      spacing: layoutConfig.spacing,
+      output: layoutConfig.output,
+      metadataPolicy: layoutConfig.metadataPolicy,
+      // Uploads keep the order of `images`
+      images: uploads.map((upload, index) => ({
+        uploadId: upload.uploadId,
+        filename: upload.filename,
+        position: images[index].cell,
+        zoom: images[index].zoom,
+        offsetX: images[index].offsetX,
+        offsetY: images[index].offsetY,
+        // Normalized rect the image is drawn at, clipped to its cell
+        drawRect: images[index].drawRect,
+      })),
     };
-    
+
     // Add dimensions if provided
     if (layoutConfig.dimensions) {
       layoutData.dimensions = {
@@ -243,18 +542,34 @@ export const uploadAndCreateLayout = async (files, layoutConfig, imageSettings,
         height: layoutConfig.dimensions.height,
       };
     }
-    
-    // Step 3: Process layout on server
-    const result = await processLayout(layoutData);
-    
-    if (onProgress) {
-      onProgress({ stage: 'completed', progress: 100 });
+
+    // Physical size and DPI for the output's density, see getPrintMetadata
+    if (layoutConfig.print) {
+      layoutData.print = layoutConfig.print;
     }
-    
-    return result;
+
+    return layoutData;
+  };
+
+  // Step 3: Process layout on server
+  let result;
+  try {
+    result = await processLayout(buildLayoutData(uploadResults), signal);
   } catch (error) {
-    throw error;
+    const reused = uploadResults.filter((upload) => upload.reused);
+    if (reused.length === 0 || error.code !== API_ERROR_CODES.UPLOAD_EXPIRED) throw error;
+
+    // Some reused uploads are gone from the server, upload those files again
+    await Promise.all(reused.map((upload) => removeCompletedUpload(upload.hash)));
+    uploadResults = await uploadImagesForLayout(files, onProgress, signal);
+    result = await processLayout(buildLayoutData(uploadResults), signal);
+  }
+
+  if (onProgress) {
+    onProgress({ stage: 'completed', progress: 100 });
   }
+
+  return result;
 };
 
 export default api;
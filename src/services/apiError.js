@@ -0,0 +1,139 @@
+import axios from 'axios';
+
+export const API_ERROR_CODES = {
+  NETWORK: 'NETWORK',
+  TIMEOUT: 'TIMEOUT',
+  ABORTED: 'ABORTED',
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  UPLOAD_EXPIRED: 'UPLOAD_EXPIRED',
+  NOT_FOUND: 'NOT_FOUND',
+  RATE_LIMITED: 'RATE_LIMITED',
+  BAD_REQUEST: 'BAD_REQUEST',
+  SERVER: 'SERVER',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// Endpoints that reference an upload session; a 404 there means it expired
+const UPLOAD_SESSION_ENDPOINTS = [
+  '/api/upload/chunk',
+  '/api/upload/complete',
+  '/api/process',
+  '/api/layout/process',
+];
+
+/**
+ * Error thrown by every API call, keeps what axios knew about the failure
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code, endpoint, retryable = false, payload = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || API_ERROR_CODES.UNKNOWN;
+    this.endpoint = endpoint;
+    this.retryable = retryable;
+    this.payload = payload;
+  }
+}
+
+const codeFromStatus = (status, endpoint) => {
+  if (status === 413) return API_ERROR_CODES.FILE_TOO_LARGE;
+  if (status === 410) return API_ERROR_CODES.UPLOAD_EXPIRED;
+  if (status === 404) {
+    return UPLOAD_SESSION_ENDPOINTS.includes(endpoint)
+      ? API_ERROR_CODES.UPLOAD_EXPIRED
+      : API_ERROR_CODES.NOT_FOUND;
+  }
+  if (status === 408) return API_ERROR_CODES.TIMEOUT;
+  if (status === 429) return API_ERROR_CODES.RATE_LIMITED;
+  if (status >= 500) return API_ERROR_CODES.SERVER;
+  return API_ERROR_CODES.BAD_REQUEST;
+};
+
+const RETRYABLE_CODES = [
+  API_ERROR_CODES.NETWORK,
+  API_ERROR_CODES.TIMEOUT,
+  API_ERROR_CODES.RATE_LIMITED,
+  API_ERROR_CODES.SERVER,
+];
+
+/**
+ * Convert an axios error into an ApiError for `endpoint`
+ */
+export const toApiError = (error, endpoint, fallbackMessage) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error) || error?.name === 'AbortError') {
+    return new ApiError('Cancelled by user', {
+      code: API_ERROR_CODES.ABORTED,
+      endpoint,
+    });
+  }
+
+  if (error?.response) {
+    const { status, data } = error.response;
+    const payload = data && typeof data === 'object' ? data : null;
+    const code = payload?.code && API_ERROR_CODES[payload.code]
+      ? payload.code
+      : codeFromStatus(status, endpoint);
+
+    return new ApiError(payload?.error || payload?.message || fallbackMessage, {
+      status,
+      code,
+      endpoint,
+      retryable: RETRYABLE_CODES.includes(code),
+      payload,
+    });
+  }
+
+  // Request was sent but no response came back
+  const code = error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT'
+    ? API_ERROR_CODES.TIMEOUT
+    : API_ERROR_CODES.NETWORK;
+
+  return new ApiError(fallbackMessage, {
+    code,
+    endpoint,
+    retryable: true,
+  });
+};
+
+export const isAbortError = (error) => {
+  return error?.code === API_ERROR_CODES.ABORTED || error?.name === 'AbortError';
+};
+
+/**
+ * Message to show the user for any error thrown by the API layer
+ */
+export const getErrorMessage = (error) => {
+  if (!(error instanceof ApiError)) {
+    return error?.message || 'Unknown error occurred';
+  }
+
+  switch (error.code) {
+    case API_ERROR_CODES.NETWORK:
+      return 'Server offline. Cannot connect to the server, check that it is running and you are online.';
+    case API_ERROR_CODES.TIMEOUT:
+      return 'The server took too long to respond.';
+    case API_ERROR_CODES.FILE_TOO_LARGE:
+      return error.payload?.error || 'File too large for the server.';
+    case API_ERROR_CODES.UPLOAD_EXPIRED:
+      return 'Upload expired on the server. Retry to upload the file again.';
+    case API_ERROR_CODES.RATE_LIMITED:
+      return 'Too many requests. Wait a moment and retry.';
+    case API_ERROR_CODES.SERVER:
+      return `Server error (${error.status}). ${error.message}`;
+    case API_ERROR_CODES.ABORTED:
+      return 'Cancelled';
+    default:
+      return error.message;
+  }
+};
+
+/**
+ * Whether a retry action makes sense for this error
+ */
+export const canRetry = (error) => {
+  return error instanceof ApiError
+    && (error.retryable || error.code === API_ERROR_CODES.UPLOAD_EXPIRED);
+};
@@ -0,0 +1,137 @@
+import { checkHealth } from './api';
+
+const POLL_INTERVAL = 30000; // 30s while the server is up
+const OFFLINE_POLL_INTERVAL = 5000; // 5s while waiting for it to come back
+
+export const CONNECTION_STATUS = {
+  CHECKING: 'checking',
+  ONLINE: 'online',
+  SERVER_OFFLINE: 'server-offline',
+  BROWSER_OFFLINE: 'browser-offline',
+};
+
+// Used until /health says otherwise
+export const DEFAULT_CAPABILITIES = {
+  maxFileSize: null,
+  maxImages: parseInt(import.meta.env.VITE_MAX_IMAGES) || 5,
+  supportedFormats: ['image/jpeg', 'image/png'],
+};
+
+let state = {
+  status: CONNECTION_STATUS.CHECKING,
+  capabilities: DEFAULT_CAPABILITIES,
+  lastChecked: null,
+  error: null,
+};
+
+const listeners = new Set();
+let pollTimeoutId = null;
+let checkPromise = null;
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+const toMimeType = (format) => {
+  const value = String(format).toLowerCase();
+  if (value.includes('/')) return value;
+  return `image/${value === 'jpg' ? 'jpeg' : value}`;
+};
+
+/**
+ * Pick the limits the UI cares about out of the /health payload
+ */
+const parseCapabilities = (health) => {
+  const limits = health?.limits || health?.capabilities || health || {};
+  const formats = limits.supportedFormats || limits.formats;
+
+  return {
+    ...DEFAULT_CAPABILITIES,
+    ...(Number(limits.maxFileSize) > 0 && { maxFileSize: Number(limits.maxFileSize) }),
+    ...(Number(limits.maxImages) > 0 && { maxImages: Number(limits.maxImages) }),
+    ...(Array.isArray(formats) && formats.length > 0 && {
+      supportedFormats: [...new Set(formats.map(toMimeType))],
+    }),
+    ...(Array.isArray(limits.features) && { features: limits.features }),
+  };
+};
+
+const schedulePoll = () => {
+  clearTimeout(pollTimeoutId);
+  if (listeners.size === 0) return;
+
+  const interval = state.status === CONNECTION_STATUS.ONLINE ? POLL_INTERVAL : OFFLINE_POLL_INTERVAL;
+  pollTimeoutId = setTimeout(refreshConnection, interval);
+};
+
+/**
+ * Check the server now, concurrent callers share the same request
+ */
+export const refreshConnection = () => {
+  if (checkPromise) return checkPromise;
+
+  if (!navigator.onLine) {
+    setState({ status: CONNECTION_STATUS.BROWSER_OFFLINE, lastChecked: Date.now() });
+    schedulePoll();
+    return Promise.resolve(state);
+  }
+
+  checkPromise = checkHealth()
+    .then((health) => {
+      setState({
+        status: CONNECTION_STATUS.ONLINE,
+        capabilities: parseCapabilities(health),
+        lastChecked: Date.now(),
+        error: null,
+      });
+    })
+    .catch((error) => {
+      setState({
+        status: navigator.onLine
+          ? CONNECTION_STATUS.SERVER_OFFLINE
+          : CONNECTION_STATUS.BROWSER_OFFLINE,
+        lastChecked: Date.now(),
+        error,
+      });
+    })
+    .then(() => {
+      checkPromise = null;
+      schedulePoll();
+      return state;
+    });
+
+  return checkPromise;
+};
+
+const handleOnline = () => refreshConnection();
+
+const handleOffline = () => {
+  setState({ status: CONNECTION_STATUS.BROWSER_OFFLINE });
+  schedulePoll();
+};
+
+export const getConnectionState = () => state;
+
+/**
+ * Polling and browser events only run while someone is subscribed
+ */
+export const subscribeConnection = (listener) => {
+  listeners.add(listener);
+
+  if (listeners.size === 1) {
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    refreshConnection();
+  }
+
+  return () => {
+    listeners.delete(listener);
+
+    if (listeners.size === 0) {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearTimeout(pollTimeoutId);
+    }
+  };
+};
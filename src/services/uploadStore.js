@@ -0,0 +1,145 @@
+const DB_NAME = 'nocrop-uploads';
+const DB_VERSION = 2;
+const STORE_NAME = 'uploads';
+const COMPLETED_STORE_NAME = 'completed';
+
+// Server-side upload sessions do not live forever, so old records are useless
+const RECORD_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+let dbPromise = null;
+
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'fingerprint' });
+        }
+        if (!db.objectStoreNames.contains(COMPLETED_STORE_NAME)) {
+          db.createObjectStore(COMPLETED_STORE_NAME, { keyPath: 'hash' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Private mode or blocked storage: uploads still work, just not resumable
+      request.onerror = () => {
+        console.warn('Upload store unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+const withStore = async (mode, callback, storeName = STORE_NAME) => {
+  const db = await openDb();
+  if (!db) return null;
+
+  const transaction = db.transaction(storeName, mode);
+  return promisifyRequest(callback(transaction.objectStore(storeName)));
+};
+
+const isExpired = (record) => Date.now() - record.updatedAt > RECORD_MAX_AGE;
+
+/**
+ * Identify a file across page reloads without reading its content
+ */
+export const getFileFingerprint = (file) => {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+};
+
+export const getUploadRecord = async (fingerprint) => {
+  const record = await withStore('readonly', (store) => store.get(fingerprint));
+  if (!record) return null;
+
+  if (isExpired(record)) {
+    await removeUploadRecord(fingerprint);
+    return null;
+  }
+  return record;
+};
+
+export const saveUploadRecord = async (record) => {
+  await withStore('readwrite', (store) =>
+    store.put({ ...record, updatedAt: Date.now() })
+  );
+};
+
+export const markChunkUploaded = async (fingerprint, uploadId, chunkIndex) => {
+  const db = await openDb();
+  if (!db) return;
+
+  // Read and write in one transaction so concurrent acks do not overwrite each other
+  const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+  const record = await promisifyRequest(store.get(fingerprint));
+  // Ignore late acks from a session that has since been replaced
+  if (!record || record.uploadId !== uploadId) return;
+
+  if (!record.uploadedChunks.includes(chunkIndex)) {
+    record.uploadedChunks.push(chunkIndex);
+  }
+  await promisifyRequest(store.put({ ...record, updatedAt: Date.now() }));
+};
+
+export const removeUploadRecord = async (fingerprint) => {
+  await withStore('readwrite', (store) => store.delete(fingerprint));
+};
+
+/**
+ * List interrupted uploads that can still be resumed
+ */
+export const listUploadRecords = async () => {
+  const records = (await withStore('readonly', (store) => store.getAll())) || [];
+  const active = [];
+
+  for (const record of records) {
+    if (isExpired(record)) {
+      await removeUploadRecord(record.fingerprint);
+    } else {
+      active.push(record);
+    }
+  }
+
+  return active.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Completed uploads by content hash, so the same file is not uploaded twice
+ * while the server still keeps it
+ */
+export const getCompletedUpload = async (hash) => {
+  const entry = await withStore('readonly', (store) => store.get(hash), COMPLETED_STORE_NAME);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    await removeCompletedUpload(hash);
+    return null;
+  }
+  return entry;
+};
+
+export const saveCompletedUpload = async (hash, uploadId, expiresAt) => {
+  await withStore(
+    'readwrite',
+    (store) => store.put({ hash, uploadId, expiresAt }),
+    COMPLETED_STORE_NAME
+  );
+};
+
+export const removeCompletedUpload = async (hash) => {
+  await withStore('readwrite', (store) => store.delete(hash), COMPLETED_STORE_NAME);
+};
@@ -0,0 +1,237 @@
+// Padding fill modes. The same drawing code runs for the preview, the local
+// renderer (main thread or worker) and describes what the server should do.
+
+import { createCanvas } from './canvas';
+
+export const BACKGROUND_TYPES = [
+  { label: 'Solid Color', value: 'color' },
+  { label: 'Blurred Image', value: 'blur' },
+  { label: 'Edge Stretch', value: 'edge' },
+  { label: 'Mirror', value: 'mirror' },
+  { label: 'Linear Gradient', value: 'linear-gradient' },
+  { label: 'Radial Gradient', value: 'radial-gradient' },
+  { label: 'Dominant Color', value: 'dominant' },
+];
+
+// Long edge the blur strength is measured against
+export const BLUR_REFERENCE_EDGE = 1000;
+
+/**
+ * Build the structured `background` sent to /api/process.
+ * `color` is the flat fill a renderer falls back to; for 'dominant' it is
+ * filled in per image by resolveBackground. Colors are #RRGGBB, or #RRGGBBAA
+ * for (semi-)transparent padding.
+ * Blur `strength` is relative to a BLUR_REFERENCE_EDGE long edge, so the blur
+ * covers the same share of the picture in a preview and in the full-size output.
+ */
+export const buildBackground = (type, { color, gradientColor, blurStrength }) => {
+  switch (type) {
+    case 'blur':
+      return { type: 'blur', color, strength: blurStrength };
+    case 'edge':
+    case 'mirror':
+      return { type, color };
+    case 'dominant':
+      return { type: 'dominant' };
+    case 'linear-gradient':
+      return { type: 'gradient', kind: 'linear', color, from: color, to: gradientColor, angle: 180 };
+    case 'radial-gradient':
+      return { type: 'gradient', kind: 'radial', color, from: color, to: gradientColor };
+    default:
+      return { type: 'color', color };
+  }
+};
+
+const toHex = (value) => value.toString(16).padStart(2, '0');
+
+/**
+ * Most common color of an image, on a downscaled copy with coarse buckets
+ */
+export const getDominantColor = (img) => {
+  const size = 32;
+  const canvas = createCanvas(size, size);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, size, size);
+
+  const { data } = ctx.getImageData(0, 0, size, size);
+  const buckets = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  }
+
+  let best = null;
+  buckets.forEach((bucket) => {
+    if (!best || bucket.count > best.count) best = bucket;
+  });
+  if (!best) return '#000000';
+
+  return `#${toHex(Math.round(best.r / best.count))}${toHex(Math.round(best.g / best.count))}${toHex(
+    Math.round(best.b / best.count)
+  )}`;
+};
+
+/**
+ * Resolve image-dependent values so the server renders the same fill.
+ * Only the dominant color needs the image today.
+ */
+export const resolveBackground = async (file, background) => {
+  if (background.type !== 'dominant') return background;
+
+  const bitmap = await createImageBitmap(file);
+  const color = getDominantColor(bitmap);
+  bitmap.close();
+  return { ...background, color };
+};
+
+const drawBlur = (ctx, img, geometry, strength) => {
+  const { canvasWidth, canvasHeight } = geometry;
+
+  // Downscale then upscale with smoothing: a cheap blur that works everywhere,
+  // including OffscreenCanvas contexts without `filter` support. The small
+  // canvas has a fixed long edge, so every canvas size gets the same blur.
+  const smallLongEdge = BLUR_REFERENCE_EDGE / Math.max(2, strength);
+  const ratio = smallLongEdge / Math.max(canvasWidth, canvasHeight);
+  const smallWidth = Math.max(1, Math.round(canvasWidth * ratio));
+  const smallHeight = Math.max(1, Math.round(canvasHeight * ratio));
+  const small = createCanvas(smallWidth, smallHeight);
+  const smallCtx = small.getContext('2d');
+
+  // Cover the whole canvas with the image, cropping the overflow
+  const scale = Math.max(smallWidth / img.width, smallHeight / img.height);
+  const coverWidth = img.width * scale;
+  const coverHeight = img.height * scale;
+  smallCtx.drawImage(
+    img,
+    (smallWidth - coverWidth) / 2,
+    (smallHeight - coverHeight) / 2,
+    coverWidth,
+    coverHeight
+  );
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(small, 0, 0, canvasWidth, canvasHeight);
+  ctx.restore();
+};
+
+const drawEdgeStretch = (ctx, img, geometry) => {
+  const { canvasWidth, canvasHeight, drawX, drawY, drawWidth, drawHeight } = geometry;
+  const right = drawX + drawWidth;
+  const bottom = drawY + drawHeight;
+  const rightWidth = canvasWidth - right;
+  const bottomHeight = canvasHeight - bottom;
+  const lastX = img.width - 1;
+  const lastY = img.height - 1;
+
+  const stretch = (sx, sy, sw, sh, dx, dy, dw, dh) => {
+    if (dw > 0 && dh > 0) ctx.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
+  };
+
+  // Repeat the outermost row/column of pixels across the padding
+  stretch(0, 0, 1, img.height, 0, drawY, drawX, drawHeight);
+  stretch(lastX, 0, 1, img.height, right, drawY, rightWidth, drawHeight);
+  stretch(0, 0, img.width, 1, drawX, 0, drawWidth, drawY);
+  stretch(0, lastY, img.width, 1, drawX, bottom, drawWidth, bottomHeight);
+
+  // and the corner pixels across the corners
+  stretch(0, 0, 1, 1, 0, 0, drawX, drawY);
+  stretch(lastX, 0, 1, 1, right, 0, rightWidth, drawY);
+  stretch(0, lastY, 1, 1, 0, bottom, drawX, bottomHeight);
+  stretch(lastX, lastY, 1, 1, right, bottom, rightWidth, bottomHeight);
+};
+
+const drawMirror = (ctx, img, geometry) => {
+  const { canvasWidth, canvasHeight, drawX, drawY, drawWidth, drawHeight } = geometry;
+  if (drawWidth <= 0 || drawHeight <= 0) return;
+
+  // Tile the canvas with copies of the image, flipped on every other column
+  // and row so each copy reflects its neighbour, out to the canvas edges
+  const firstCol = -Math.ceil(drawX / drawWidth);
+  const lastCol = Math.ceil((canvasWidth - drawX - drawWidth) / drawWidth);
+  const firstRow = -Math.ceil(drawY / drawHeight);
+  const lastRow = Math.ceil((canvasHeight - drawY - drawHeight) / drawHeight);
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let col = firstCol; col <= lastCol; col++) {
+      if (row === 0 && col === 0) continue;
+
+      const flipX = col % 2 !== 0;
+      const flipY = row % 2 !== 0;
+      ctx.save();
+      ctx.translate(
+        drawX + col * drawWidth + (flipX ? drawWidth : 0),
+        drawY + row * drawHeight + (flipY ? drawHeight : 0)
+      );
+      ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+      ctx.drawImage(img, 0, 0, drawWidth, drawHeight);
+      ctx.restore();
+    }
+  }
+};
+
+const createGradient = (ctx, background, canvasWidth, canvasHeight) => {
+  if (background.kind === 'radial') {
+    const centerX = canvasWidth / 2;
+    const centerY = canvasHeight / 2;
+    const gradient = ctx.createRadialGradient(
+      centerX, centerY, 0,
+      centerX, centerY, Math.hypot(centerX, centerY)
+    );
+    gradient.addColorStop(0, background.from);
+    gradient.addColorStop(1, background.to);
+    return gradient;
+  }
+
+  // CSS convention: 0deg points up, 180deg goes top to bottom
+  const angle = ((background.angle ?? 180) * Math.PI) / 180;
+  const halfLength =
+    (Math.abs(canvasWidth * Math.sin(angle)) + Math.abs(canvasHeight * Math.cos(angle))) / 2;
+  const dx = Math.sin(angle) * halfLength;
+  const dy = -Math.cos(angle) * halfLength;
+  const gradient = ctx.createLinearGradient(
+    canvasWidth / 2 - dx, canvasHeight / 2 - dy,
+    canvasWidth / 2 + dx, canvasHeight / 2 + dy
+  );
+  gradient.addColorStop(0, background.from);
+  gradient.addColorStop(1, background.to);
+  return gradient;
+};
+
+/**
+ * Paint the padding area. `geometry` is where the image itself will be drawn.
+ */
+export const drawBackground = (ctx, img, geometry, background) => {
+  const { canvasWidth, canvasHeight } = geometry;
+
+  // Flat base fill, also covers whatever a mode leaves uncovered
+  ctx.fillStyle = background.color || getDominantColor(img);
+  ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+  switch (background.type) {
+    case 'blur':
+      drawBlur(ctx, img, geometry, background.strength);
+      break;
+    case 'edge':
+      drawEdgeStretch(ctx, img, geometry);
+      break;
+    case 'mirror':
+      drawMirror(ctx, img, geometry);
+      break;
+    case 'gradient':
+      ctx.fillStyle = createGradient(ctx, background, canvasWidth, canvasHeight);
+      ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+      break;
+    default:
+      break;
+  }
+};
@@ -0,0 +1,30 @@
+// Canvas helpers that work on the main thread and in workers
+
+/**
+ * An OffscreenCanvas where supported, a detached <canvas> otherwise
+ */
+export const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Encode a canvas or OffscreenCanvas, `quality` (0-1) only applies to lossy types
+ */
+export const canvasToBlob = (canvas, mimeType, quality) => {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type: mimeType, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))),
+      mimeType,
+      quality
+    );
+  });
+};
@@ -1,16 +1,48 @@
-const hexToRgb = (hex) => {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result
-    ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16),
-      }
-    : null;
+const toHexByte = (value) => Math.round(value).toString(16).padStart(2, '0');
+
+/**
+ * Parse #RRGGBB, #RRGGBBAA, rgb(), rgba() or 'transparent' into channels, alpha is 0-1
+ */
+export const parseColor = (color) => {
+  const value = String(color).trim();
+  if (value.toLowerCase() === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+  const hex = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})?$/i.exec(value);
+  if (hex) {
+    return {
+      r: parseInt(hex[1], 16),
+      g: parseInt(hex[2], 16),
+      b: parseInt(hex[3], 16),
+      a: hex[4] ? parseInt(hex[4], 16) / 255 : 1,
+    };
+  }
+
+  const rgba = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)\s*)?\)$/i.exec(value);
+  if (rgba) {
+    const channels = rgba.slice(1, 4).map(Number);
+    const alpha = rgba[4] === undefined ? 1 : Number(rgba[4]);
+    if (channels.some((channel) => channel > 255) || alpha > 1) return null;
+    return { r: channels[0], g: channels[1], b: channels[2], a: alpha };
+  }
+
+  return null;
+};
+
+/**
+ * Channels back to #RRGGBB, or #RRGGBBAA when not fully opaque
+ */
+export const toHexColor = ({ r, g, b, a = 1 }) => {
+  const hex = `#${toHexByte(r)}${toHexByte(g)}${toHexByte(b)}`;
+  return a < 1 ? `${hex}${toHexByte(a * 255)}` : hex;
+};
+
+export const hasTransparency = (color) => {
+  const rgb = parseColor(color);
+  return Boolean(rgb) && rgb.a < 1;
 };
 
 export const getInvertedColor = (color) => {
-  const rgb = hexToRgb(color);
+  const rgb = parseColor(color);
   if (!rgb) return '#FFFFFF'; // Default to white if invalid
 
   const inverted = {
@@ -19,17 +51,34 @@ export const getInvertedColor = (color) => {
     b: 255 - rgb.b,
   };
 
-  return `#${inverted.r.toString(16).padStart(2, '0')}${inverted.g
-    .toString(16)
-    .padStart(2, '0')}${inverted.b.toString(16).padStart(2, '0')}`;
+  return toHexColor(inverted);
 };
 
 export const getContrastingBackground = (paddingColor) => {
-  const rgb = hexToRgb(paddingColor);
+  const rgb = parseColor(paddingColor);
   if (!rgb) return '#1a1a1a'; // Default dark
 
   // Calculate relative luminance
   const luminance = (0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b) / 255;
-  
+
   return luminance < 0.5 ? '#f0f0f0' : '#0a0a0a';
 };
+
+// Shows through transparent padding in previews
+const CHECKERBOARD_STYLE = {
+  backgroundColor: '#ffffff',
+  backgroundImage:
+    'linear-gradient(45deg, #ccc 25%, transparent 25%), linear-gradient(-45deg, #ccc 25%, transparent 25%), linear-gradient(45deg, transparent 75%, #ccc 75%), linear-gradient(-45deg, transparent 75%, #ccc 75%)',
+  backgroundSize: '16px 16px',
+  backgroundPosition: '0 0, 0 8px, 8px -8px, -8px 0',
+};
+
+/**
+ * Style for the area behind a preview: a checkerboard for transparent
+ * padding, otherwise a color that contrasts with the padding
+ */
+export const getPreviewBackgroundStyle = (paddingColor) => {
+  return hasTransparency(paddingColor)
+    ? CHECKERBOARD_STYLE
+    : { backgroundColor: getContrastingBackground(paddingColor) };
+};
@@ -0,0 +1,35 @@
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Hashing the same File object twice is wasted work
+const hashCache = new WeakMap();
+
+/**
+ * Compute a SHA-256 content hash of a file.
+ * SubtleCrypto cannot hash incrementally, so each chunk is hashed on its own
+ * and the result is the hash of the concatenated chunk digests.
+ * Returns null when SubtleCrypto is unavailable (insecure context).
+ */
+export const hashFile = async (file, chunkSize, signal) => {
+  if (!globalThis.crypto?.subtle) return null;
+
+  if (hashCache.has(file)) return hashCache.get(file);
+
+  const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+  const digests = new Uint8Array(totalChunks * 32);
+
+  for (let i = 0; i < totalChunks; i++) {
+    signal?.throwIfAborted();
+
+    const chunk = file.slice(i * chunkSize, Math.min((i + 1) * chunkSize, file.size));
+    const digest = await crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+    digests.set(new Uint8Array(digest), i * 32);
+  }
+
+  const hash = toHex(await crypto.subtle.digest('SHA-256', digests));
+  hashCache.set(file, hash);
+  return hash;
+};
@@ -0,0 +1,93 @@
+/**
+ * Human readable list of accepted formats, e.g. "JPEG, PNG"
+ */
+export const describeFormats = (mimeTypes) => {
+  return mimeTypes.map((type) => type.split('/')[1].toUpperCase()).join(', ');
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Everything the pages accept, formats the server cannot take are converted first
+export const ACCEPTED_INPUT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/avif',
+  'image/gif',
+  'image/heic',
+  'image/tiff',
+];
+
+// Extensions too, browsers often report an empty type for HEIC and TIFF
+export const INPUT_ACCEPT = [...ACCEPTED_INPUT_TYPES, '.heic', '.heif', '.tif', '.tiff'].join(',');
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const readAscii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+/**
+ * Detect the image format from the file's first bytes, `file.type` is only a
+ * guess from the extension. Returns a MIME type or null when unrecognized.
+ */
+export const sniffImageType = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+  if (bytes.length < 12) return null;
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+  if (readAscii(bytes, 0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (/^GIF8[79]a$/.test(readAscii(bytes, 0, 6))) return 'image/gif';
+  if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 12) === 'WEBP') return 'image/webp';
+  if (['II*\0', 'MM\0*'].includes(readAscii(bytes, 0, 4))) return 'image/tiff';
+
+  // HEIF containers (HEIC, AVIF): an ftyp box listing major and compatible brands
+  if (readAscii(bytes, 4, 8) === 'ftyp') {
+    const boxSize = Math.min(bytes.length, new DataView(bytes.buffer).getUint32(0));
+    const brands = [readAscii(bytes, 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(readAscii(bytes, offset, offset + 4));
+    }
+    if (brands.some((brand) => AVIF_BRANDS.includes(brand))) return 'image/avif';
+    if (brands.some((brand) => HEIF_BRANDS.includes(brand))) return 'image/heic';
+  }
+
+  return null;
+};
+
+/**
+ * Error message when a file is over the server's size limit, null otherwise
+ */
+export const getFileSizeError = (file, capabilities) => {
+  const { maxFileSize } = capabilities;
+  return maxFileSize && file.size > maxFileSize
+    ? `File too large (max ${formatFileSize(maxFileSize)})`
+    : null;
+};
+
+/**
+ * Check a file's real format and size against what the app and server accept.
+ * Resolves with the sniffed `type` when valid.
+ */
+export const validateImageFile = async (file, capabilities) => {
+  const type = await sniffImageType(file);
+
+  if (!type) {
+    return {
+      valid: false,
+      error: `Unsupported file type. Accepted formats: ${describeFormats(ACCEPTED_INPUT_TYPES)}`,
+    };
+  }
+
+  const sizeError = getFileSizeError(file, capabilities);
+  if (sizeError) {
+    return { valid: false, error: sizeError };
+  }
+
+  return { valid: true, type };
+};
@@ -0,0 +1,421 @@
+// Pure geometry shared by previews, local rendering and the server payload.
+// Sizes are computed once in output pixels, draw rects are also returned in
+// normalized units (fractions of the canvas) so any canvas size renders the
+// same picture.
+
+import { getTemplateCells } from './layoutTemplates';
+import { toInches } from './printSizes';
+
+// Larger outputs would not fit in a browser canvas anyway
+export const MAX_OUTPUT_DIMENSION = 10000;
+
+export const DEFAULT_ALIGNMENT = { x: 0.5, y: 0.5 };
+
+// Percentage margins above this leave no room for the image
+export const MAX_MARGIN_PERCENT = 40;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Canvas size and image placement for padding an image without cropping,
+ * at full resolution. The server applies the same geometry.
+ *
+ * `options`:
+ * - `ratio`: "w:h" string or 'original'
+ * - `size`: optional exact canvas `{ width, height }`, the image is scaled to fit
+ * - `margin`: optional `{ value, unit }` kept clear on every side. 'px' is in
+ *   output pixels, '%' is a percentage of the canvas' shorter side
+ * - `alignment`: optional `{ x, y }` from 0 to 1, where the image sits in the
+ *   leftover space. 0.5 centers it, 0 is left/top, 1 is right/bottom
+ */
+export const calculatePaddedCanvas = (originalWidth, originalHeight, options) => {
+  const { ratio, size, margin, alignment = DEFAULT_ALIGNMENT } = options;
+  const marginValue = Math.max(0, Number(margin?.value) || 0);
+  const marginPercent = margin?.unit === '%' ? Math.min(marginValue, MAX_MARGIN_PERCENT) / 100 : 0;
+  const marginPx = margin?.unit === '%' ? 0 : Math.round(marginValue);
+
+  let canvasWidth, canvasHeight, drawWidth, drawHeight, marginSize;
+
+  if (size) {
+    canvasWidth = size.width;
+    canvasHeight = size.height;
+    marginSize = marginPercent
+      ? Math.round(Math.min(canvasWidth, canvasHeight) * marginPercent)
+      : marginPx;
+
+    // Scale the image to fit inside the margins
+    const innerWidth = Math.max(1, canvasWidth - 2 * marginSize);
+    const innerHeight = Math.max(1, canvasHeight - 2 * marginSize);
+    const scale = Math.min(innerWidth / originalWidth, innerHeight / originalHeight);
+    drawWidth = Math.max(1, Math.min(innerWidth, Math.round(originalWidth * scale)));
+    drawHeight = Math.max(1, Math.min(innerHeight, Math.round(originalHeight * scale)));
+  } else {
+    // Parse ratio
+    let targetRatio;
+    if (ratio === 'original') {
+      targetRatio = originalWidth / originalHeight;
+    } else {
+      const [w, h] = ratio.split(':').map(Number);
+      targetRatio = w / h;
+    }
+
+    drawWidth = originalWidth;
+    drawHeight = originalHeight;
+
+    // Smallest canvas height at the target ratio that fits the image plus
+    // margins. A percentage margin grows with the canvas, hence the divisors.
+    const shortSideFactor = Math.min(targetRatio, 1);
+    const percentShare = 2 * marginPercent * shortSideFactor;
+    const exactHeight = Math.max(
+      (originalWidth + 2 * marginPx) / (targetRatio - percentShare),
+      (originalHeight + 2 * marginPx) / (1 - percentShare)
+    );
+    canvasWidth = Math.round(exactHeight * targetRatio);
+    canvasHeight = Math.round(exactHeight);
+
+    marginSize = marginPercent
+      ? Math.round(Math.min(canvasWidth, canvasHeight) * marginPercent)
+      : marginPx;
+
+    // Rounding must never eat into the margin
+    canvasWidth = Math.max(canvasWidth, drawWidth + 2 * marginSize);
+    canvasHeight = Math.max(canvasHeight, drawHeight + 2 * marginSize);
+  }
+
+  // Leftover space is shared out according to the alignment
+  const slackX = Math.max(0, canvasWidth - drawWidth - 2 * marginSize);
+  const slackY = Math.max(0, canvasHeight - drawHeight - 2 * marginSize);
+
+  return {
+    canvasWidth,
+    canvasHeight,
+    drawX: marginSize + Math.round(slackX * clamp(alignment.x, 0, 1)),
+    drawY: marginSize + Math.round(slackY * clamp(alignment.y, 0, 1)),
+    drawWidth,
+    drawHeight,
+  };
+};
+
+/**
+ * Padded geometry scaled for a smaller canvas, e.g. a preview
+ */
+export const scalePaddedGeometry = (geometry, scale) => {
+  return Object.fromEntries(
+    Object.entries(geometry).map(([key, value]) => [key, Math.round(value * scale)])
+  );
+};
+
+/**
+ * Spacing in output pixels: `gutter` between cells, `margin` around them,
+ * `radius` rounds each cell's corners and `stroke` outlines cells when its width > 0
+ */
+export const DEFAULT_LAYOUT_SPACING = {
+  gutter: 0,
+  margin: 0,
+  radius: 0,
+  stroke: { width: 0, color: '#FFFFFF' },
+};
+
+/**
+ * How large a layout is rendered: `mode` is 'long-edge' (`longEdge` pixels),
+ * 'match-source' (as large as possible without upscaling any image) or
+ * 'print' (`printLength` in `printUnit` on the long edge at `dpi`)
+ */
+export const DEFAULT_LAYOUT_RESOLUTION = {
+  mode: 'long-edge',
+  longEdge: 2000,
+  printLength: 10,
+  printUnit: 'in',
+  dpi: 300,
+};
+
+export const MIN_LONG_EDGE = 100;
+// Long edge 'match-source' starts measuring source scales at
+const REFERENCE_LONG_EDGE = 1000;
+const MATCH_SOURCE_ITERATIONS = 8;
+// Scales this close to 1 are rounding, not visible upscaling
+const UPSCALE_TOLERANCE = 1.01;
+
+export const DEFAULT_IMAGE_SETTING = { zoom: 1, offsetX: 0, offsetY: 0 };
+
+// Fit All refinement passes, each brings the ratio closer once gutters are involved
+const FIT_ALL_ITERATIONS = 8;
+// Cell edges closer than this to the canvas edge count as outer edges
+const EDGE_EPSILON = 1e-6;
+
+// Gutters and margin never take more than this share of a cell's size
+const MAX_SPACING_SHARE = 0.5;
+
+/**
+ * Factor (at most 1) that scales gutter and margin down until no cell loses more
+ * than MAX_SPACING_SHARE of its width or height to them
+ */
+const getSpacingScale = (cells, width, height, { gutter, margin }) => {
+  const limit = (start, length, canvasLength) => {
+    const innerEdges = [start > EDGE_EPSILON, start + length < 1 - EDGE_EPSILON].filter(Boolean).length;
+    const spacing = 2 * margin * length + (gutter / 2) * innerEdges;
+    return spacing > 0 ? (MAX_SPACING_SHARE * length * canvasLength) / spacing : 1;
+  };
+
+  return Math.min(
+    1,
+    ...cells.flatMap((cell) => [
+      limit(cell.x, cell.width, width),
+      limit(cell.y, cell.height, height),
+    ])
+  );
+};
+
+/**
+ * Cell rectangles of a template on a `width` × `height` canvas, in pixels.
+ * Cells fill the area inside the margin, inner edges give up half a gutter each.
+ * Spacing is in output pixels, on small canvases it shrinks so cells keep a size.
+ */
+export const getCellRects = (template, width, height, spacing = DEFAULT_LAYOUT_SPACING) => {
+  const cells = getTemplateCells(template);
+  const spacingScale = getSpacingScale(cells, width, height, spacing);
+  const gutter = spacing.gutter * spacingScale;
+  const margin = spacing.margin * spacingScale;
+  const innerWidth = width - 2 * margin;
+  const innerHeight = height - 2 * margin;
+  const inset = (isOuterEdge) => (isOuterEdge ? 0 : gutter / 2);
+
+  return cells.map((cell) => {
+    const left = inset(cell.x < EDGE_EPSILON);
+    const top = inset(cell.y < EDGE_EPSILON);
+    const right = inset(cell.x + cell.width > 1 - EDGE_EPSILON);
+    const bottom = inset(cell.y + cell.height > 1 - EDGE_EPSILON);
+
+    return {
+      x: margin + cell.x * innerWidth + left,
+      y: margin + cell.y * innerHeight + top,
+      width: Math.max(0, cell.width * innerWidth - left - right),
+      height: Math.max(0, cell.height * innerHeight - top - bottom),
+    };
+  });
+};
+
+/**
+ * Canvas aspect ratio (width / height) that crops the images least.
+ * A cell's aspect is its fractional aspect times the canvas ratio, so the
+ * ratio that best matches every image (least squares on the log scale) is
+ * the geometric mean of image aspect / fractional cell aspect.
+ */
+const getFitAllRatio = (template, images) => {
+  const cells = getTemplateCells(template);
+  const pairs = cells
+    .map((cell, i) => [cell, images[i]])
+    .filter(([, img]) => img && img.width > 0 && img.height > 0);
+  if (pairs.length === 0) return 1;
+
+  const logSum = pairs.reduce(
+    (sum, [cell, img]) => sum + Math.log(img.width / img.height) - Math.log(cell.width / cell.height),
+    0
+  );
+  return Math.exp(logSum / pairs.length);
+};
+
+/**
+ * Fit All canvas size with a long edge of `longEdge` pixels.
+ * Gutters and margins are fixed sizes, so they skew cell aspects differently
+ * at each canvas ratio: starting from the spacing-free ratio, each pass
+ * corrects it by the remaining average (log) mismatch between cells and images.
+ */
+export const getFitAllDimensions = (template, images, longEdge, spacing = DEFAULT_LAYOUT_SPACING) => {
+  const toDimensions = (ratio) =>
+    ratio >= 1
+      ? { width: longEdge, height: Math.round(longEdge / ratio) }
+      : { width: Math.round(longEdge * ratio), height: longEdge };
+
+  let ratio = getFitAllRatio(template, images);
+  if (!spacing.gutter && !spacing.margin) return toDimensions(ratio);
+
+  for (let i = 0; i < FIT_ALL_ITERATIONS; i++) {
+    const { width, height } = toDimensions(ratio);
+    const pairs = getCellRects(template, width, height, spacing)
+      .map((cell, idx) => [cell, images[idx]])
+      .filter(([cell, img]) => img && cell.width > 0 && cell.height > 0);
+    if (pairs.length === 0) break;
+
+    const mismatch =
+      pairs.reduce(
+        (sum, [cell, img]) =>
+          sum + Math.log(img.width / img.height) - Math.log(cell.width / cell.height),
+        0
+      ) / pairs.length;
+    ratio *= Math.exp(mismatch);
+  }
+
+  return toDimensions(ratio);
+};
+
+/**
+ * Keep a panned image from leaving its cell: a zoomed-in image always covers
+ * the cell, a zoomed-out one stays inside it. `cell` is in output pixels.
+ */
+export const clampOffsets = (setting, img, cell) => {
+  const scale = Math.max(cell.width / img.width, cell.height / img.height) * setting.zoom;
+  const maxOffsetX = Math.abs(img.width * scale - cell.width) / 2;
+  const maxOffsetY = Math.abs(img.height * scale - cell.height) / 2;
+  return {
+    ...setting,
+    offsetX: clamp(setting.offsetX, -maxOffsetX, maxOffsetX),
+    offsetY: clamp(setting.offsetY, -maxOffsetY, maxOffsetY),
+  };
+};
+
+export const getPrintLongEdge = ({ printLength, printUnit, dpi }) => {
+  return Math.round(toInches(printLength, printUnit) * dpi);
+};
+
+/**
+ * Output size of a layout in pixels: an explicit `size` (presets), otherwise
+ * `longEdge` on the long side of the Fit All shape or of `ratio`.
+ * A layout has no single original, 'original' is square.
+ */
+export const getLayoutSize = ({ template, images, ratio, size, spacing, longEdge }) => {
+  if (size) {
+    return { width: size.width, height: size.height };
+  }
+  if (ratio === 'fit-all' && images.length > 0) {
+    return getFitAllDimensions(template, images, longEdge, spacing);
+  }
+
+  const [w, h] = ratio === 'fit-all' || ratio === 'original' ? [1, 1] : ratio.split(':').map(Number);
+  return w >= h
+    ? { width: longEdge, height: Math.round((longEdge * h) / w) }
+    : { width: Math.round((longEdge * w) / h), height: longEdge };
+};
+
+/**
+ * Largest long edge at which no image is upscaled. Gutters and margins are
+ * fixed sizes, so cells do not grow in proportion to the canvas: each pass
+ * measures at the current guess and corrects it by the largest source scale.
+ * Zoom is ignored, so zooming does not resize the layout under the pointer.
+ */
+const getMatchSourceLongEdge = (layout) => {
+  const getMaxScale = (longEdge) => {
+    const geometry = computeLayoutGeometry({
+      ...layout,
+      settings: [],
+      resolution: { mode: 'long-edge', longEdge },
+    });
+    return Math.max(...geometry.cells.map((cell) => cell.sourceScale));
+  };
+
+  let longEdge = REFERENCE_LONG_EDGE;
+  for (let i = 0; i < MATCH_SOURCE_ITERATIONS; i++) {
+    const maxScale = getMaxScale(longEdge);
+    if (!(maxScale > 0) || Math.abs(maxScale - 1) < 1e-6) break;
+    longEdge = clamp(Math.floor(longEdge / maxScale), MIN_LONG_EDGE, MAX_OUTPUT_DIMENSION);
+  }
+  // Rounded canvas sizes can leave a cell a pixel too large
+  for (let i = 0; i < MATCH_SOURCE_ITERATIONS && longEdge > MIN_LONG_EDGE; i++) {
+    if (getMaxScale(longEdge) <= 1) break;
+    longEdge -= 1;
+  }
+  return longEdge;
+};
+
+/**
+ * Long edge in pixels for a `resolution` (see DEFAULT_LAYOUT_RESOLUTION)
+ */
+const getLongEdge = (resolution, layout) => {
+  let longEdge;
+  if (resolution.mode === 'match-source') {
+    longEdge = getMatchSourceLongEdge(layout);
+  } else if (resolution.mode === 'print') {
+    longEdge = getPrintLongEdge(resolution);
+  } else {
+    longEdge = resolution.longEdge;
+  }
+  return clamp(Math.round(longEdge) || MIN_LONG_EDGE, MIN_LONG_EDGE, MAX_OUTPUT_DIMENSION);
+};
+
+const normalizeRect = (rect, width, height) => ({
+  x: rect.x / width,
+  y: rect.y / height,
+  width: rect.width / width,
+  height: rect.height / height,
+});
+
+/**
+ * Everything needed to draw a layout. `images` are `{ width, height }` in cell
+ * order, `settings` the matching `{ zoom, offsetX, offsetY }` with offsets in
+ * output pixels. Offsets are clamped to the cells of this geometry, so settings
+ * made for another ratio, spacing or size still cover their cell.
+ *
+ * Returns `{ width, height, cells }` where `width`/`height` is the output size and
+ * each cell is `{ cell, image, cellPx, setting, sourceScale }`: `cell` is the clip
+ * rect and `image` where the image is drawn (it may overflow the cell), both
+ * normalized. `setting` is the clamped setting `image` was placed with.
+ * `sourceScale` is output pixels per source pixel, above 1 the image is upscaled.
+ * `radius` and `strokeWidth` are in output pixels.
+ */
+export const computeLayoutGeometry = (layout) => {
+  const {
+    template,
+    images,
+    settings = [],
+    ratio,
+    size,
+    spacing = DEFAULT_LAYOUT_SPACING,
+    resolution = DEFAULT_LAYOUT_RESOLUTION,
+  } = layout;
+  const longEdge = size ? null : getLongEdge(resolution, layout);
+  const { width, height } = getLayoutSize({ template, images, ratio, size, spacing, longEdge });
+
+  const cells = getCellRects(template, width, height, spacing)
+    .slice(0, images.length)
+    .map((cellPx, idx) => {
+      const img = images[idx];
+      const setting = clampOffsets(settings[idx] || DEFAULT_IMAGE_SETTING, img, cellPx);
+      const { zoom, offsetX, offsetY } = setting;
+
+      const scale = Math.max(cellPx.width / img.width, cellPx.height / img.height) * zoom;
+      const imageWidth = img.width * scale;
+      const imageHeight = img.height * scale;
+      const imagePx = {
+        x: cellPx.x + (cellPx.width - imageWidth) / 2 + offsetX,
+        y: cellPx.y + (cellPx.height - imageHeight) / 2 + offsetY,
+        width: imageWidth,
+        height: imageHeight,
+      };
+
+      return {
+        cellPx,
+        cell: normalizeRect(cellPx, width, height),
+        image: normalizeRect(imagePx, width, height),
+        setting,
+        sourceScale: scale,
+      };
+    });
+
+  return {
+    width,
+    height,
+    cells,
+    radius: spacing.radius,
+    strokeWidth: spacing.stroke.width,
+    strokeColor: spacing.stroke.color,
+  };
+};
+
+/**
+ * Indexes of the images a layout would upscale
+ */
+export const getUpscaledCells = (geometry) => {
+  return geometry.cells
+    .map((cell, idx) => (cell.sourceScale > UPSCALE_TOLERANCE ? idx : -1))
+    .filter((idx) => idx !== -1);
+};
+
+/**
+ * Index of the cell under a normalized point, -1 in gutters and margins
+ */
+export const getCellIndexAt = (geometry, x, y) => {
+  return geometry.cells.findIndex(
+    ({ cell }) =>
+      x >= cell.x && x < cell.x + cell.width && y >= cell.y && y < cell.y + cell.height
+  );
+};
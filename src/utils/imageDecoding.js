@@ -0,0 +1,102 @@
+import { encodeCanvas } from './outputFormat';
+import { createCanvas } from './canvas';
+import { loadOrientedImage } from './imageOrientation';
+
+// Formats every current browser can draw to a canvas
+const NATIVE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif'];
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+// The decoders are large, they are only loaded once such a file shows up
+const decodeHeic = async (file) => {
+  const { default: heic2any } = await import('heic2any');
+  // Phone photos are opaque, JPEG keeps the converted file small
+  const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.95 });
+  // Burst and live photos hold several images, the first is the main one
+  return Array.isArray(result) ? result[0] : result;
+};
+
+// Converted photos are usually opaque, JPEG keeps them close to the original
+// size. Lossless PNG is several times larger and only kept for transparency.
+const encodeConverted = (canvas, transparent) => {
+  return encodeCanvas(canvas, transparent ? { format: 'png' } : { format: 'jpeg', quality: 0.95 });
+};
+
+const hasAlpha = (rgba) => {
+  for (let i = 3; i < rgba.length; i += 4) {
+    if (rgba[i] < 255) return true;
+  }
+  return false;
+};
+
+// Read in bands of rows, a full-size getImageData would double the memory
+const ALPHA_SCAN_ROWS = 256;
+
+const hasTransparentPixels = (ctx, width, height) => {
+  for (let y = 0; y < height; y += ALPHA_SCAN_ROWS) {
+    const rows = Math.min(ALPHA_SCAN_ROWS, height - y);
+    if (hasAlpha(ctx.getImageData(0, y, width, rows).data)) return true;
+  }
+  return false;
+};
+
+const decodeTiff = async (file) => {
+  const { default: UTIF } = await import('utif');
+  const buffer = await file.arrayBuffer();
+  const [page] = UTIF.decode(buffer);
+  if (!page) throw new Error('Could not read TIFF file');
+
+  UTIF.decodeImage(buffer, page);
+  const rgba = new Uint8ClampedArray(UTIF.toRGBA8(page).buffer);
+
+  const canvas = createCanvas(page.width, page.height);
+  canvas.getContext('2d').putImageData(new ImageData(rgba, page.width, page.height), 0, 0);
+  return encodeConverted(canvas, hasAlpha(rgba));
+};
+
+// Drawable but not accepted by the server, re-encode it.
+// The EXIF orientation does not survive, so it is baked into the pixels.
+const reencodeImage = async (file) => {
+  const bitmap = await loadOrientedImage(file);
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return encodeConverted(canvas, hasTransparentPixels(ctx, canvas.width, canvas.height));
+};
+
+/**
+ * Whether prepareImageFile re-encodes a file of this sniffed type. Re-encoding
+ * drops all source metadata (EXIF, GPS, copyright).
+ */
+export const needsConversion = (type, capabilities) => {
+  return !(NATIVE_TYPES.includes(type) && capabilities.supportedFormats.includes(type));
+};
+
+/**
+ * Turn a validated file into one that canvases can draw and the server accepts.
+ * `type` is the sniffed MIME type from validateImageFile. Files that already
+ * qualify are returned as-is, others are converted to JPEG, or PNG when they
+ * have transparency. Converted files can be larger than the original, check
+ * their size again.
+ */
+export const prepareImageFile = async (file, type, capabilities) => {
+  if (!needsConversion(type, capabilities)) {
+    // Correct a missing or wrong type so uploads are labelled properly
+    return file.type === type
+      ? file
+      : new File([file], file.name, { type, lastModified: file.lastModified });
+  }
+
+  let blob;
+  if (type === 'image/heic') {
+    blob = await decodeHeic(file);
+  } else if (type === 'image/tiff') {
+    blob = await decodeTiff(file);
+  } else {
+    blob = await reencodeImage(file);
+  }
+
+  const name = `${file.name.replace(/\.[^.]+$/, '')}.${EXTENSIONS[blob.type]}`;
+  return new File([blob], name, { type: blob.type, lastModified: file.lastModified });
+};
@@ -0,0 +1,124 @@
+// EXIF orientation handling. Recent browsers rotate images while decoding,
+// older ones hand over the raw sensor pixels. Either way the bitmaps returned
+// here are upright, matching the server's output which is always auto-oriented.
+
+import { createCanvas, canvasToBlob } from './canvas';
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+// Orientation lives in the first APP1 segment, which sits right after SOI
+const EXIF_SEARCH_BYTES = 128 * 1024;
+
+/**
+ * EXIF orientation (1-8) of a JPEG, 1 when missing or not a JPEG
+ */
+export const readExifOrientation = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, EXIF_SEARCH_BYTES).arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  if (bytes.length < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    const length = view.getUint16(offset + 2);
+    // Start of scan, no more metadata segments after this
+    if (marker === 0xda) break;
+
+    const isExif = marker === 0xe1
+      && String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+    if (isExif) {
+      const tiff = offset + 10;
+      if (tiff + 8 > bytes.length) return 1;
+
+      const littleEndian = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+      if (ifd + 2 > bytes.length) return 1;
+
+      const entries = view.getUint16(ifd, littleEndian);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > bytes.length) break;
+        if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+          const orientation = view.getUint16(entry + 8, littleEndian);
+          return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+
+    offset += 2 + length;
+  }
+
+  return 1;
+};
+
+// APP1 segment holding only "orientation = 6" (rotate 90° clockwise)
+const ROTATED_EXIF_SEGMENT = new Uint8Array([
+  0xff, 0xe1, 0x00, 0x22,
+  0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+  0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF header
+  0x00, 0x01, // one IFD entry
+  0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00, // no next IFD
+]);
+
+let orientationSupport = null;
+
+/**
+ * Whether createImageBitmap applies EXIF orientation, checked once by
+ * decoding a 2×1 JPEG tagged as rotated: an upright decode is 1×2
+ */
+const browserAppliesOrientation = () => {
+  if (!orientationSupport) {
+    orientationSupport = (async () => {
+      try {
+        const jpeg = new Uint8Array(
+          await (await canvasToBlob(createCanvas(2, 1), 'image/jpeg')).arrayBuffer()
+        );
+        const tagged = new Blob(
+          [jpeg.subarray(0, 2), ROTATED_EXIF_SEGMENT, jpeg.subarray(2)],
+          { type: 'image/jpeg' }
+        );
+        const bitmap = await createImageBitmap(tagged, { imageOrientation: 'from-image' });
+        const applied = bitmap.width === 1;
+        bitmap.close();
+        return applied;
+      } catch {
+        return true;
+      }
+    })();
+  }
+  return orientationSupport;
+};
+
+// Canvas transforms for EXIF orientations 2-8, `w`/`h` are the raw pixel sizes
+const ORIENTATION_TRANSFORMS = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w, h) => [0, 1, -1, 0, h, 0],
+  7: (w, h) => [0, -1, -1, 0, h, w],
+  8: (w) => [0, -1, 1, 0, 0, w],
+};
+
+/**
+ * Decode a file into an upright ImageBitmap. Works in workers too.
+ * Callers should close() the bitmap when done.
+ */
+export const loadOrientedImage = async (file) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  if (await browserAppliesOrientation()) return bitmap;
+
+  const orientation = await readExifOrientation(file);
+  if (orientation === 1) return bitmap;
+
+  const { width, height } = bitmap;
+  const swapsAxes = orientation >= 5;
+  const canvas = createCanvas(swapsAxes ? height : width, swapsAxes ? width : height);
+  const ctx = canvas.getContext('2d');
+  ctx.transform(...ORIENTATION_TRANSFORMS[orientation](width, height));
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  return createImageBitmap(canvas);
+};
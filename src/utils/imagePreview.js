@@ -1,112 +1,141 @@
-export const createImagePreview = async (file, ratio, color, maxWidth = 600) => {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      img.onload = () => {
-        try {
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-
-          // Get original dimensions
-          const originalWidth = img.width;
-          const originalHeight = img.height;
-
-          // Parse ratio
-          let targetRatio;
-          if (ratio === 'original') {
-            targetRatio = originalWidth / originalHeight;
-          } else {
-            const [w, h] = ratio.split(':').map(Number);
-            targetRatio = w / h;
-          }
-
-          const currentRatio = originalWidth / originalHeight;
-
-          let canvasWidth, canvasHeight;
-          let drawX = 0, drawY = 0;
-          let drawWidth = originalWidth;
-          let drawHeight = originalHeight;
-
-          // Calculate canvas dimensions based on ratio
-          if (ratio === 'original') {
-            canvasWidth = originalWidth;
-            canvasHeight = originalHeight;
-          } else {
-            if (currentRatio > targetRatio) {
-              // Image is wider than target ratio
-              canvasWidth = originalWidth;
-              canvasHeight = Math.round(originalWidth / targetRatio);
-              drawY = Math.round((canvasHeight - originalHeight) / 2);
-            } else {
-              // Image is taller than target ratio
-              canvasHeight = originalHeight;
-              canvasWidth = Math.round(originalHeight * targetRatio);
-              drawX = Math.round((canvasWidth - originalWidth) / 2);
-            }
-          }
-
-          // Scale down for preview
-          let scale = 1;
-          if (canvasWidth > maxWidth) {
-            scale = maxWidth / canvasWidth;
-            canvasWidth = Math.round(canvasWidth * scale);
-            canvasHeight = Math.round(canvasHeight * scale);
-            drawX = Math.round(drawX * scale);
-            drawY = Math.round(drawY * scale);
-            drawWidth = Math.round(drawWidth * scale);
-            drawHeight = Math.round(drawHeight * scale);
-          }
-
-          // Set canvas size
-          canvas.width = canvasWidth;
-          canvas.height = canvasHeight;
-
-          // Fill background with color
-          ctx.fillStyle = color;
-          ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-          // Draw image centered
-          ctx.drawImage(img, drawX, drawY, drawWidth, drawHeight);
-
-          // Convert to data URL
-          resolve(canvas.toDataURL('image/jpeg', 0.9));
-        } catch (error) {
-          reject(error);
-        }
-      };
-
-      img.onerror = () => reject(new Error('Failed to load image'));
-      img.src = e.target.result;
-    };
-
-    reader.onerror = () => reject(new Error('Failed to read file'));
-    reader.readAsDataURL(file);
-  });
+import { drawBackground } from './backgroundFill';
+import { DEFAULT_OUTPUT, getOutputFormat } from './outputFormat';
+import { loadOrientedImage } from './imageOrientation';
+import { MAX_OUTPUT_DIMENSION, calculatePaddedCanvas, scalePaddedGeometry } from './geometry';
+import { drawPrintGuides } from './printSizes';
+
+/**
+ * Normalize user input like "1.91:1", "1.91" or "16 : 9" to "w:h", or null if invalid
+ */
+export const parseRatio = (value) => {
+  const parts = String(value).trim().split(/\s*:\s*/);
+  if (parts.length > 2 || parts.some((part) => !/^\d*\.?\d+$/.test(part))) return null;
+
+  const [w, h = 1] = parts.map(Number);
+  if (!(w > 0 && h > 0)) return null;
+
+  // Keep extreme ratios out, they only produce degenerate canvases
+  if (w / h > 100 || h / w > 100) return null;
+  return `${w}:${h}`;
+};
+
+/**
+ * Validate an exact output size entered by the user, returns null if invalid
+ */
+export const parseOutputSize = (width, height) => {
+  const size = { width: Number(width), height: Number(height) };
+  const isValid = (value) => Number.isInteger(value) && value > 0 && value <= MAX_OUTPUT_DIMENSION;
+  return isValid(size.width) && isValid(size.height) ? size : null;
+};
+
+export const ALIGNMENT_PRESETS = [
+  { label: 'Center', value: 'center', alignment: { x: 0.5, y: 0.5 } },
+  { label: 'Top', value: 'top', alignment: { x: 0.5, y: 0 } },
+  { label: 'Bottom', value: 'bottom', alignment: { x: 0.5, y: 1 } },
+  { label: 'Left', value: 'left', alignment: { x: 0, y: 0.5 } },
+  { label: 'Right', value: 'right', alignment: { x: 1, y: 0.5 } },
+];
+
+/**
+ * Fill the padding and draw the image, works on canvas and OffscreenCanvas contexts
+ */
+export const drawPaddedImage = (ctx, img, geometry, background) => {
+  const { drawX, drawY, drawWidth, drawHeight } = geometry;
+
+  drawBackground(ctx, img, geometry, background);
+
+  // Draw image at its aligned position
+  ctx.drawImage(img, drawX, drawY, drawWidth, drawHeight);
+};
+
+/**
+ * Upright bitmap with its long edge at most `maxEdge`, for previews that redraw
+ * often. `width` and `height` are the source size. Callers close() the bitmap.
+ */
+export const loadPreviewImage = async (file, maxEdge) => {
+  const img = await loadOrientedImage(file);
+  const { width, height } = img;
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  if (scale === 1) return { bitmap: img, width, height };
+
+  try {
+    const bitmap = await createImageBitmap(img, {
+      resizeWidth: Math.max(1, Math.round(width * scale)),
+      resizeHeight: Math.max(1, Math.round(height * scale)),
+      resizeQuality: 'high',
+    });
+    return { bitmap, width, height };
+  } finally {
+    img.close();
+  }
+};
+
+/**
+ * `options` is the object sent to /api/process, see calculatePaddedCanvas
+ * in utils/geometry for the geometry fields, buildBackground for `background` and
+ * utils/outputFormat for `output`. The preview uses the output's format and
+ * quality so compression shows, a size target only applies to the real output.
+ * `guides` is an optional print layout from getPrintLayout to outline.
+ * Returns the data URL, `guidesUrl` with the guides drawn over it when asked
+ * for, and `sourceScale`, output pixels per source pixel.
+ */
+export const createImagePreview = async (file, options, { maxWidth = 600, guides = null } = {}) => {
+  let img;
+  try {
+    img = await loadOrientedImage(file);
+  } catch {
+    throw new Error('Failed to load image');
+  }
+
+  try {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    // Same geometry as the full-size output, scaled down for preview
+    const fullGeometry = calculatePaddedCanvas(img.width, img.height, options);
+    const geometry = scalePaddedGeometry(
+      fullGeometry,
+      Math.min(1, maxWidth / fullGeometry.canvasWidth)
+    );
+
+    // Set canvas size
+    canvas.width = geometry.canvasWidth;
+    canvas.height = geometry.canvasHeight;
+
+    drawPaddedImage(ctx, img, geometry, options.background);
+
+    // Convert to data URL, the guides go on a separate copy so results stay clean
+    const output = options.output || DEFAULT_OUTPUT;
+    const toDataURL = () => canvas.toDataURL(getOutputFormat(output.format).mimeType, output.quality);
+    const url = toDataURL();
+    let guidesUrl = null;
+    if (guides) {
+      drawPrintGuides(ctx, guides);
+      guidesUrl = toDataURL();
+    }
+
+    return { url, guidesUrl, sourceScale: fullGeometry.drawWidth / img.width };
+  } finally {
+    img.close();
+  }
 };
 
 /**
- * Get image dimensions from file
+ * Get image dimensions from file, as displayed (EXIF orientation applied)
  */
-export const getImageDimensions = (file) => {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      img.onload = () => {
-        resolve({
-          width: img.width,
-          height: img.height,
-          ratio: (img.width / img.height).toFixed(2)
-        });
-      };
-      img.onerror = () => reject(new Error('Failed to load image'));
-      img.src = e.target.result;
-    };
-
-    reader.onerror = () => reject(new Error('Failed to read file'));
-    reader.readAsDataURL(file);
-  });
+export const getImageDimensions = async (file) => {
+  let img;
+  try {
+    img = await loadOrientedImage(file);
+  } catch {
+    throw new Error('Failed to load image');
+  }
+
+  const { width, height } = img;
+  img.close();
+  return {
+    width,
+    height,
+    ratio: (width / height).toFixed(2)
+  };
 };
@@ -0,0 +1,56 @@
+// Draws layouts from computeLayoutGeometry. Works on canvas and OffscreenCanvas
+// contexts, so the preview, full-size exports and workers share one renderer.
+
+const toCanvasRect = (rect, width, height) => ({
+  x: rect.x * width,
+  y: rect.y * height,
+  width: rect.width * width,
+  height: rect.height * height,
+});
+
+/**
+ * Fill the canvas with `background` and draw `images` (in cell order) into
+ * their cells. The canvas can have any size, it shows the whole layout.
+ */
+export const renderLayout = (ctx, geometry, images, background) => {
+  const { width, height } = ctx.canvas;
+  // Radius and stroke are in output pixels
+  const scale = width / geometry.width;
+
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  geometry.cells.forEach(({ cell, image }, idx) => {
+    if (!images[idx]) return;
+    const cellRect = toCanvasRect(cell, width, height);
+    const imageRect = toCanvasRect(image, width, height);
+    const radius = Math.min(geometry.radius * scale, cellRect.width / 2, cellRect.height / 2);
+
+    const traceCell = (inset) => {
+      ctx.beginPath();
+      ctx.roundRect(
+        cellRect.x + inset,
+        cellRect.y + inset,
+        cellRect.width - 2 * inset,
+        cellRect.height - 2 * inset,
+        Math.max(0, radius - inset)
+      );
+    };
+
+    // Clip to the cell, rounded when a corner radius is set
+    ctx.save();
+    traceCell(0);
+    ctx.clip();
+    ctx.drawImage(images[idx], imageRect.x, imageRect.y, imageRect.width, imageRect.height);
+
+    // Outline inside the cell, so it never spills into gutters
+    if (geometry.strokeWidth > 0) {
+      const strokeWidth = geometry.strokeWidth * scale;
+      traceCell(strokeWidth / 2);
+      ctx.lineWidth = strokeWidth;
+      ctx.strokeStyle = geometry.strokeColor;
+      ctx.stroke();
+    }
+    ctx.restore();
+  });
+};
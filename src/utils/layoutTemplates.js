@@ -0,0 +1,123 @@
+// Layout templates are plain data. A template either describes a grid, where
+// cells take `col`/`row` slots and may span several of them, or lists freeform
+// `rects` as fractions (0-1) of the canvas. Cells are listed in image order.
+// Preview, fit-all sizing and the server payload all read the same cells,
+// so adding a template here is all a new layout needs.
+
+export const MAX_LAYOUT_IMAGES = 12;
+
+export const LAYOUT_TEMPLATES = [
+  { id: '2-horizontal', label: 'Side by Side', columns: 2, rows: 1 },
+  { id: '2-vertical', label: 'Top & Bottom', columns: 1, rows: 2 },
+  { id: '3-row', label: '3 in a Row', columns: 3, rows: 1 },
+  { id: '3-column', label: '3 in a Column', columns: 1, rows: 3 },
+  {
+    id: '3-left',
+    label: '1 Left + 2 Right',
+    columns: 2,
+    rows: 2,
+    cells: [{ col: 0, row: 0, rowSpan: 2 }, { col: 1, row: 0 }, { col: 1, row: 1 }],
+  },
+  {
+    id: '3-right',
+    label: '2 Left + 1 Right',
+    columns: 2,
+    rows: 2,
+    cells: [{ col: 0, row: 0 }, { col: 0, row: 1 }, { col: 1, row: 0, rowSpan: 2 }],
+  },
+  { id: '4-grid', label: '2×2 Grid', columns: 2, rows: 2 },
+  {
+    id: '4-top',
+    label: '1 Top + 3',
+    columns: 3,
+    rows: 3,
+    cells: [
+      { col: 0, row: 0, colSpan: 3, rowSpan: 2 },
+      { col: 0, row: 2 },
+      { col: 1, row: 2 },
+      { col: 2, row: 2 },
+    ],
+  },
+  {
+    id: '4-left',
+    label: '1 Left + 3',
+    columns: 3,
+    rows: 3,
+    cells: [
+      { col: 0, row: 0, colSpan: 2, rowSpan: 3 },
+      { col: 2, row: 0 },
+      { col: 2, row: 1 },
+      { col: 2, row: 2 },
+    ],
+  },
+  {
+    id: '3-golden',
+    label: 'Golden Split',
+    rects: [
+      { x: 0, y: 0, width: 0.618, height: 1 },
+      { x: 0.618, y: 0, width: 0.382, height: 0.618 },
+      { x: 0.618, y: 0.618, width: 0.382, height: 0.382 },
+    ],
+  },
+  {
+    id: '5-mosaic',
+    label: 'Mosaic (5)',
+    columns: 3,
+    rows: 2,
+    cells: [
+      { col: 0, row: 0, colSpan: 2 },
+      { col: 2, row: 0 },
+      { col: 0, row: 1 },
+      { col: 1, row: 1 },
+      { col: 2, row: 1 },
+    ],
+  },
+  { id: '6-grid', label: '3×2 Grid', columns: 3, rows: 2 },
+  {
+    id: '7-mosaic',
+    label: 'Mosaic (7)',
+    columns: 4,
+    rows: 3,
+    cells: [
+      { col: 0, row: 0, colSpan: 2, rowSpan: 2 },
+      { col: 2, row: 0, colSpan: 2 },
+      { col: 2, row: 1 },
+      { col: 3, row: 1 },
+      { col: 0, row: 2 },
+      { col: 1, row: 2 },
+      { col: 2, row: 2, colSpan: 2 },
+    ],
+  },
+  { id: '9-grid', label: '3×3 Grid', columns: 3, rows: 3 },
+  { id: '12-grid', label: '4×3 Grid', columns: 4, rows: 3 },
+];
+
+export const DEFAULT_LAYOUT_TEMPLATE = LAYOUT_TEMPLATES[0];
+
+export const getLayoutTemplate = (id) => {
+  return LAYOUT_TEMPLATES.find((template) => template.id === id) || DEFAULT_LAYOUT_TEMPLATE;
+};
+
+/**
+ * Cells of a template as fractional rects `{ x, y, width, height }`, in image order.
+ * A grid without `cells` fills its slots left to right, top to bottom.
+ */
+export const getTemplateCells = (template) => {
+  if (template.rects) {
+    return template.rects.slice(0, MAX_LAYOUT_IMAGES);
+  }
+
+  const { columns, rows } = template;
+  const cells =
+    template.cells ||
+    Array.from({ length: columns * rows }, (_, i) => ({ col: i % columns, row: Math.floor(i / columns) }));
+
+  return cells.slice(0, MAX_LAYOUT_IMAGES).map(({ col, row, colSpan = 1, rowSpan = 1 }) => ({
+    x: col / columns,
+    y: row / rows,
+    width: colSpan / columns,
+    height: rowSpan / rows,
+  }));
+};
+
+export const getTemplateImageCount = (template) => getTemplateCells(template).length;
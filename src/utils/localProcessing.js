@@ -0,0 +1,174 @@
+import { createTaskScheduler } from './taskScheduler';
+import { drawPaddedImage } from './imagePreview';
+import { calculatePaddedCanvas } from './geometry';
+import { DEFAULT_OUTPUT, encodeCanvas, getOutputFormat } from './outputFormat';
+import { loadOrientedImage } from './imageOrientation';
+import { renderLayout } from './layoutRenderer';
+
+// Full-resolution canvases are memory hungry, keep only a couple in flight
+const renderScheduler = createTaskScheduler(2);
+
+// Shared by both pages, a job marked private stays private across them
+const PROCESSING_MODE_KEY = 'nocrop.processingMode';
+
+export const PROCESSING_MODES = [
+  { label: 'Server', value: 'server' },
+  { label: 'Local (never leaves this device)', value: 'local' },
+];
+
+export const getStoredProcessingMode = () => sessionStorage.getItem(PROCESSING_MODE_KEY) || 'server';
+
+export const storeProcessingMode = (mode) => {
+  sessionStorage.setItem(PROCESSING_MODE_KEY, mode);
+};
+
+const supportsWorkerRendering = () => {
+  return typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && typeof createImageBitmap !== 'undefined';
+};
+
+const createAbortError = () => new DOMException('Cancelled by user', 'AbortError');
+
+// `createWorker` wraps `new Worker(new URL(...))` so the bundler can find the worker file
+const runWorker = (createWorker, message, signal) => {
+  return new Promise((resolve, reject) => {
+    const worker = createWorker();
+
+    const onAbort = () => {
+      worker.terminate();
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = (e) => {
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+
+      if (e.data.error) {
+        reject(new Error(e.data.error));
+      } else {
+        resolve(e.data);
+      }
+    };
+
+    worker.onerror = (e) => {
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      reject(new Error(e.message || 'Failed to process image locally'));
+    };
+
+    worker.postMessage(message);
+  });
+};
+
+const renderInWorker = (file, options, signal) => {
+  const createWorker = () =>
+    new Worker(new URL('../workers/localProcessing.worker.js', import.meta.url), {
+      type: 'module',
+    });
+  return runWorker(createWorker, { file, options }, signal);
+};
+
+// Fallback for browsers without OffscreenCanvas, blocks the page while drawing
+const renderOnMainThread = async (file, options) => {
+  const bitmap = await loadOrientedImage(file);
+  const geometry = calculatePaddedCanvas(bitmap.width, bitmap.height, options);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = geometry.canvasWidth;
+  canvas.height = geometry.canvasHeight;
+  drawPaddedImage(canvas.getContext('2d'), bitmap, geometry, options.background);
+  bitmap.close();
+
+  const blob = await encodeCanvas(canvas, options.output);
+
+  return { blob, width: geometry.canvasWidth, height: geometry.canvasHeight };
+};
+
+const getOutputFilename = (filename, { ratio, size, output = DEFAULT_OUTPUT }) => {
+  const baseName = filename.replace(/\.[^.]+$/, '');
+  let suffix = ratio === 'original' ? 'padded' : ratio.replace(':', 'x');
+  if (size) suffix = `${size.width}x${size.height}px`;
+  return `${baseName}_${suffix}.${getOutputFormat(output.format).extension}`;
+};
+
+/**
+ * Pad an image entirely in the browser, nothing is uploaded.
+ * `options` is the same object sent to /api/process.
+ * Resolves with the same shape as the server's process result, plus `localUrl`.
+ */
+export const processImageLocally = async (file, options, signal) => {
+  return renderScheduler.schedule(async () => {
+    if (signal?.aborted) throw createAbortError();
+
+    const { blob, width, height } = supportsWorkerRendering()
+      ? await renderInWorker(file, options, signal)
+      : await renderOnMainThread(file, options);
+
+    return {
+      filename: getOutputFilename(file.name, options),
+      localUrl: URL.createObjectURL(blob),
+      metadata: {
+        width,
+        height,
+        size: blob.size,
+        format: getOutputFormat(options.output?.format).value,
+      },
+      local: true,
+    };
+  });
+};
+
+const renderLayoutInWorker = (files, geometry, options, signal) => {
+  const createWorker = () =>
+    new Worker(new URL('../workers/localLayout.worker.js', import.meta.url), {
+      type: 'module',
+    });
+  return runWorker(createWorker, { files, geometry, options }, signal);
+};
+
+// Fallback for browsers without OffscreenCanvas, blocks the page while drawing
+const renderLayoutOnMainThread = async (files, geometry, options) => {
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await loadOrientedImage(file));
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width;
+    canvas.height = options.height;
+    renderLayout(canvas.getContext('2d'), geometry, images, options.background);
+
+    const blob = await encodeCanvas(canvas, options.output);
+    return { blob, width: canvas.width, height: canvas.height };
+  } finally {
+    images.forEach((img) => img.close());
+  }
+};
+
+/**
+ * Render a layout at full resolution in the browser, nothing is uploaded.
+ * `files` are in cell order, `geometry` comes from computeLayoutGeometry and
+ * `options` is `{ width, height, background, output }`: the canvas can be any
+ * size since the geometry is normalized.
+ * Resolves with the same shape as the server's layout result, plus `localUrl`.
+ */
+export const renderLayoutLocally = async (files, geometry, options, signal) => {
+  return renderScheduler.schedule(async () => {
+    if (signal?.aborted) throw createAbortError();
+
+    const { blob, width, height } = supportsWorkerRendering()
+      ? await renderLayoutInWorker(files, geometry, options, signal)
+      : await renderLayoutOnMainThread(files, geometry, options);
+
+    const format = getOutputFormat(options.output?.format);
+    return {
+      filename: `layout_${Date.now()}.${format.extension}`,
+      localUrl: URL.createObjectURL(blob),
+      metadata: { width, height, size: blob.size, format: format.value },
+      local: true,
+    };
+  });
+};
@@ -0,0 +1,20 @@
+// What the server copies from the source file's metadata into the output.
+// Orientation is never copied, outputs are always stored upright.
+
+export const METADATA_MODES = [
+  { label: 'Strip all', value: 'strip' },
+  { label: 'Keep all', value: 'keep' },
+  { label: 'Keep selected…', value: 'custom' },
+];
+
+/**
+ * Groups that can be kept individually in `custom` mode
+ */
+export const METADATA_FIELDS = [
+  { label: 'Copyright & author', value: 'copyright' },
+  { label: 'Camera & exposure', value: 'camera' },
+  { label: 'GPS location', value: 'gps' },
+];
+
+// Stripping is the safe default, nothing leaks unless asked for
+export const DEFAULT_METADATA_POLICY = { mode: 'strip', keep: [] };
@@ -0,0 +1,76 @@
+// Output encodings. `quality` is 0-1 like the canvas encoders, the server
+// receives the same `output` object and applies the same rules.
+
+import { canvasToBlob } from './canvas';
+
+export const OUTPUT_FORMATS = [
+  { label: 'JPEG', value: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg', lossy: true, alpha: false },
+  { label: 'PNG', value: 'png', mimeType: 'image/png', extension: 'png', lossy: false, alpha: true },
+  { label: 'WebP', value: 'webp', mimeType: 'image/webp', extension: 'webp', lossy: true, alpha: true },
+  { label: 'AVIF', value: 'avif', mimeType: 'image/avif', extension: 'avif', lossy: true, alpha: true },
+];
+
+export const DEFAULT_OUTPUT = { format: 'jpeg', quality: 0.9, maxFileSize: null };
+
+// Below this lossy output falls apart, a size target will not search lower
+const MIN_QUALITY = 0.3;
+const QUALITY_SEARCH_STEPS = 6;
+
+export const getOutputFormat = (value) => {
+  return OUTPUT_FORMATS.find((format) => format.value === value) || OUTPUT_FORMATS[0];
+};
+
+/**
+ * Transparent padding needs an alpha-capable format, keep the user's choice
+ * when it already has one and fall back to lossless PNG otherwise
+ */
+export const withAlphaFormat = (output) => {
+  return getOutputFormat(output.format).alpha ? output : { ...output, format: 'png' };
+};
+
+/**
+ * Swap a filename's extension for the output format's
+ */
+export const withOutputExtension = (filename, output) => {
+  return `${filename.replace(/\.[^.]+$/, '')}.${getOutputFormat(output.format).extension}`;
+};
+
+/**
+ * Encode a canvas or OffscreenCanvas as `output` describes.
+ * With `maxFileSize` (bytes) a lossy format searches for the highest quality,
+ * up to `quality`, that fits. Returns the smallest attempt if nothing fits.
+ */
+export const encodeCanvas = async (canvas, output = DEFAULT_OUTPUT) => {
+  const format = getOutputFormat(output.format);
+
+  const encode = async (quality) => {
+    const blob = await canvasToBlob(canvas, format.mimeType, quality);
+    // Browsers silently fall back to PNG for types they cannot encode
+    if (blob.type !== format.mimeType) {
+      throw new Error(`${format.label} output is not supported by this browser`);
+    }
+    return blob;
+  };
+
+  const firstAttempt = await encode(output.quality);
+  if (!format.lossy || !output.maxFileSize || firstAttempt.size <= output.maxFileSize) {
+    return firstAttempt;
+  }
+
+  // Binary search on quality, file size grows with it
+  let low = MIN_QUALITY;
+  let high = output.quality;
+  let best = null;
+  for (let i = 0; i < QUALITY_SEARCH_STEPS; i++) {
+    const quality = (low + high) / 2;
+    const blob = await encode(quality);
+    if (blob.size <= output.maxFileSize) {
+      best = blob;
+      low = quality;
+    } else {
+      high = quality;
+    }
+  }
+
+  return best || encode(MIN_QUALITY);
+};
@@ -0,0 +1,235 @@
+import { formatFileSize } from './fileValidation';
+import { getOutputFormat } from './outputFormat';
+
+const MB = 1024 * 1024;
+
+/**
+ * Plain aspect ratios offered by both pages. Each page adds its own extras
+ * (Fit All in Layout, custom and exact sizes in No-Crop).
+ */
+export const RATIO_OPTIONS = [
+  { label: 'Original', value: 'original' },
+  { label: '4:5', value: '4:5', hint: 'Instagram' },
+  { label: '1:1', value: '1:1', hint: 'Square' },
+  { label: '16:9', value: '16:9', hint: 'Widescreen' },
+  { label: '3:2', value: '3:2' },
+  { label: '21:9', value: '21:9' },
+];
+
+/**
+ * Named platform targets. `size` is the recommended output in pixels,
+ * `maxFileSize` and `formats` are the platform's upload limits.
+ */
+export const PLATFORM_PRESETS = [
+  {
+    id: 'instagram-portrait',
+    platform: 'Instagram',
+    label: 'Portrait',
+    ratio: '4:5',
+    size: { width: 1080, height: 1350 },
+    maxFileSize: 30 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'instagram-square',
+    platform: 'Instagram',
+    label: 'Square',
+    ratio: '1:1',
+    size: { width: 1080, height: 1080 },
+    maxFileSize: 30 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'instagram-story',
+    platform: 'Instagram',
+    label: 'Story / Reel',
+    ratio: '9:16',
+    size: { width: 1080, height: 1920 },
+    maxFileSize: 30 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'facebook-cover',
+    platform: 'Facebook',
+    label: 'Cover Photo',
+    ratio: '820:312',
+    size: { width: 1640, height: 624 },
+    maxFileSize: 4 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'facebook-post',
+    platform: 'Facebook',
+    label: 'Link Post',
+    ratio: '1.91:1',
+    size: { width: 1200, height: 628 },
+    maxFileSize: 8 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'x-header',
+    platform: 'X',
+    label: 'Header',
+    ratio: '3:1',
+    size: { width: 1500, height: 500 },
+    maxFileSize: 2 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'x-post',
+    platform: 'X',
+    label: 'Post Image',
+    ratio: '16:9',
+    size: { width: 1600, height: 900 },
+    maxFileSize: 5 * MB,
+    formats: ['jpeg', 'png', 'webp'],
+  },
+  {
+    id: 'linkedin-banner',
+    platform: 'LinkedIn',
+    label: 'Profile Banner',
+    ratio: '4:1',
+    size: { width: 1584, height: 396 },
+    maxFileSize: 8 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'linkedin-post',
+    platform: 'LinkedIn',
+    label: 'Shared Image',
+    ratio: '1.91:1',
+    size: { width: 1200, height: 627 },
+    maxFileSize: 5 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'youtube-thumbnail',
+    platform: 'YouTube',
+    label: 'Thumbnail',
+    ratio: '16:9',
+    size: { width: 1280, height: 720 },
+    maxFileSize: 2 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'youtube-banner',
+    platform: 'YouTube',
+    label: 'Channel Banner',
+    ratio: '16:9',
+    size: { width: 2560, height: 1440 },
+    maxFileSize: 6 * MB,
+    formats: ['jpeg', 'png'],
+  },
+  {
+    id: 'pinterest-pin',
+    platform: 'Pinterest',
+    label: 'Standard Pin',
+    ratio: '2:3',
+    size: { width: 1000, height: 1500 },
+    maxFileSize: 20 * MB,
+    formats: ['jpeg', 'png'],
+  },
+];
+
+// Shared so a preset picked on one page is already selected on the other
+const PRESET_KEY = 'nocrop.preset';
+
+export const getPreset = (id) => PLATFORM_PRESETS.find((preset) => preset.id === id) || null;
+
+export const getStoredPreset = () => getPreset(sessionStorage.getItem(PRESET_KEY));
+
+export const storePreset = (id) => {
+  if (id) {
+    sessionStorage.setItem(PRESET_KEY, id);
+  } else {
+    sessionStorage.removeItem(PRESET_KEY);
+  }
+};
+
+/**
+ * Presets grouped by platform, in catalogue order, for <optgroup> lists
+ */
+export const getPresetGroups = () => {
+  const groups = new Map();
+  PLATFORM_PRESETS.forEach((preset) => {
+    if (!groups.has(preset.platform)) groups.set(preset.platform, []);
+    groups.get(preset.platform).push(preset);
+  });
+  return Array.from(groups, ([platform, presets]) => ({ platform, presets }));
+};
+
+export const getPresetLabel = (preset) => {
+  return `${preset.platform} ${preset.label} (${preset.size.width}×${preset.size.height})`;
+};
+
+const getResultFormat = (metadata, filename) => {
+  const format = metadata.format || filename?.split('.').pop();
+  if (!format) return null;
+  const normalized = format.toLowerCase();
+  return normalized === 'jpg' ? 'jpeg' : normalized;
+};
+
+/**
+ * Output settings that fit a preset: its file size limit as the size target,
+ * and the first accepted format when the current one is not
+ */
+export const withPresetOutput = (output, preset) => ({
+  ...output,
+  format: preset.formats.includes(output.format) ? output.format : preset.formats[0],
+  maxFileSize: preset.maxFileSize,
+});
+
+/**
+ * Check output settings against the preset's platform limits before anything
+ * is processed. Returns human readable warnings, empty when the settings fit.
+ */
+export const getPresetOutputWarnings = (preset, output) => {
+  if (!preset) return [];
+
+  const warnings = [];
+  const format = getOutputFormat(output.format);
+
+  if (!preset.formats.includes(format.value)) {
+    warnings.push(`${preset.platform} does not accept ${format.label} files`);
+  }
+
+  const limit = formatFileSize(preset.maxFileSize);
+  if (!format.lossy) {
+    warnings.push(`${format.label} has no size target, files may exceed the ${preset.platform} limit of ${limit}`);
+  } else if (!output.maxFileSize || output.maxFileSize > preset.maxFileSize) {
+    warnings.push(`No size target within the ${preset.platform} limit of ${limit}`);
+  }
+
+  return warnings;
+};
+
+/**
+ * Compare a finished output against the preset's platform limits.
+ * Returns human readable warnings, empty when the output is fine.
+ */
+export const getPresetWarnings = (preset, metadata, filename) => {
+  if (!preset || !metadata) return [];
+
+  const warnings = [];
+
+  if (metadata.size > preset.maxFileSize) {
+    warnings.push(
+      `${formatFileSize(metadata.size)} exceeds the ${preset.platform} limit of ${formatFileSize(
+        preset.maxFileSize
+      )}`
+    );
+  }
+
+  if (metadata.width > preset.size.width || metadata.height > preset.size.height) {
+    warnings.push(
+      `${metadata.width} × ${metadata.height} is larger than the recommended ${preset.size.width} × ${preset.size.height}, ${preset.platform} will downscale it`
+    );
+  }
+
+  const format = getResultFormat(metadata, filename);
+  if (format && !preset.formats.includes(format)) {
+    warnings.push(`${preset.platform} does not accept ${format.toUpperCase()} files`);
+  }
+
+  return warnings;
+};
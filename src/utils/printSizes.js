@@ -0,0 +1,133 @@
+// Print targets. A print is a trim size in inches or cm rendered at a DPI,
+// optionally with bleed around it. Pixel sizes include the bleed, guides mark
+// where the paper is cut (trim) and what is safe from the cutter (safe area).
+
+export const CM_PER_INCH = 2.54;
+
+export const PRINT_SIZES = [
+  { id: '4x6', label: '4×6 in', width: 4, height: 6, unit: 'in' },
+  { id: '5x7', label: '5×7 in', width: 5, height: 7, unit: 'in' },
+  { id: '8x10', label: '8×10 in', width: 8, height: 10, unit: 'in' },
+  { id: 'a4', label: 'A4 (21×29.7 cm)', width: 21, height: 29.7, unit: 'cm' },
+];
+
+export const PRINT_UNITS = ['in', 'cm'];
+
+// Bleed in inches, printers ask for 1/8 in (3 mm) on every side
+export const BLEED_OPTIONS = [
+  { label: 'No bleed', value: 0 },
+  { label: '1/8 in (3 mm)', value: 0.125 },
+  { label: '1/4 in (6 mm)', value: 0.25 },
+];
+
+// Kept clear inside the trim, cutters drift about this much
+const SAFE_AREA_INCHES = 0.125;
+
+// Below this prints look soft at arm's length
+export const MIN_PRINT_DPI = 150;
+
+/**
+ * `sizeId` is one of PRINT_SIZES or 'custom', which uses `custom`.
+ * `bleed` is in inches, `guides` only affects previews.
+ */
+export const DEFAULT_PRINT = {
+  sizeId: '4x6',
+  custom: { width: 4, height: 6, unit: 'in' },
+  orientation: 'portrait',
+  dpi: 300,
+  bleed: 0,
+  guides: true,
+};
+
+export const toInches = (length, unit) => (unit === 'cm' ? length / CM_PER_INCH : length);
+
+/**
+ * Trim size `{ width, height, unit }` with the orientation applied
+ */
+export const getPrintSize = (print) => {
+  const size = PRINT_SIZES.find((option) => option.id === print.sizeId) || print.custom;
+  const [short, long] = [size.width, size.height].sort((a, b) => a - b);
+  return print.orientation === 'landscape'
+    ? { width: long, height: short, unit: size.unit }
+    : { width: short, height: long, unit: size.unit };
+};
+
+/**
+ * Pixel size of a print including bleed, with `trim` and `safe` as normalized
+ * rects for guides. `safeInset` is the distance from the edge to the safe area in pixels.
+ */
+export const getPrintLayout = (print) => {
+  const size = getPrintSize(print);
+  const trimWidth = toInches(size.width, size.unit) * print.dpi;
+  const trimHeight = toInches(size.height, size.unit) * print.dpi;
+  const bleed = print.bleed * print.dpi;
+  const width = Math.round(trimWidth + bleed * 2);
+  const height = Math.round(trimHeight + bleed * 2);
+
+  const inset = (px) => ({
+    x: px / width,
+    y: px / height,
+    width: 1 - (px * 2) / width,
+    height: 1 - (px * 2) / height,
+  });
+  const safeInset = bleed + SAFE_AREA_INCHES * print.dpi;
+
+  return { width, height, trim: inset(bleed), safe: inset(safeInset), safeInset };
+};
+
+/**
+ * Physical size sent to the server so the output embeds its density,
+ * all lengths in `unit`
+ */
+export const getPrintMetadata = (print) => {
+  const size = getPrintSize(print);
+  const bleed = size.unit === 'cm' ? print.bleed * CM_PER_INCH : print.bleed;
+  return { ...size, bleed: Number(bleed.toFixed(3)), dpi: print.dpi };
+};
+
+/**
+ * Physical size of a canvas printed at `dpi`, in `unit`, for prints sized in
+ * pixels like the layout resolution's print mode
+ */
+export const getCanvasPrintMetadata = ({ width, height }, dpi, unit) => {
+  const toUnit = (px) => Number(((px / dpi) * (unit === 'cm' ? CM_PER_INCH : 1)).toFixed(3));
+  return { width: toUnit(width), height: toUnit(height), unit, bleed: 0, dpi };
+};
+
+/**
+ * DPI an image prints at when drawn `sourceScale` output pixels per source pixel
+ */
+export const getEffectiveDpi = (dpi, sourceScale) => Math.round(dpi / sourceScale);
+
+/**
+ * Padding margin that keeps the whole image inside the safe area. A larger
+ * margin the user asked for wins, percentages stay percentages.
+ */
+export const withPrintMargin = (margin, layout) => {
+  const value = Number(margin.value) || 0;
+  if (margin.unit === '%') {
+    const percent = (layout.safeInset / Math.min(layout.width, layout.height)) * 100;
+    return { ...margin, value: Math.max(value, Number(percent.toFixed(2))) };
+  }
+  return { ...margin, value: Math.max(value, Math.ceil(layout.safeInset)) };
+};
+
+const strokeGuide = (ctx, rect, color) => {
+  const { width, height } = ctx.canvas;
+  ctx.strokeStyle = color;
+  ctx.strokeRect(rect.x * width, rect.y * height, rect.width * width, rect.height * height);
+};
+
+/**
+ * Draw trim (red, only with bleed) and safe area (blue) guides over a preview of any size
+ */
+export const drawPrintGuides = (ctx, layout) => {
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.setLineDash([6, 4]);
+  if (layout.trim.x > 0) {
+    strokeGuide(ctx, layout.trim, '#ef4444');
+  }
+  strokeGuide(ctx, layout.safe, '#3b82f6');
+  ctx.restore();
+};
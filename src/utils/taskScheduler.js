@@ -0,0 +1,29 @@
+/**
+ * Run async tasks with at most `limit` of them in flight at once, in FIFO order
+ */
+export const createTaskScheduler = (limit) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    while (active < limit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  return {
+    schedule: (task) =>
+      new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      }),
+  };
+};
@@ -0,0 +1,111 @@
+// Uncompressed (STORE) ZIP writer. Images are already compressed, so deflating
+// them again would only cost time.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+};
+
+/**
+ * Make `name` unique among `usedNames`: photo.jpg, photo (2).jpg, ...
+ * Adds the returned name to `usedNames`.
+ */
+export const dedupeFilename = (name, usedNames) => {
+  const safeName = name.replace(/[\\/:*?"<>|]/g, '_') || 'file';
+  const match = /^(.*?)(\.[^.]*)?$/.exec(safeName);
+  const base = match[1];
+  const extension = match[2] || '';
+
+  let candidate = safeName;
+  for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+    candidate = `${base} (${i})${extension}`;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Build a ZIP one file at a time; file data is kept as Blobs, never copied
+ * into one big buffer.
+ */
+export const createZipWriter = () => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  const addFile = async (name, blob, modified = new Date()) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+    const { time, day } = toDosDateTime(modified);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // local file header signature
+    header.setUint16(4, 20, true); // version needed
+    header.setUint16(6, 0x0800, true); // UTF-8 names
+    header.setUint16(8, 0, true); // STORE
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, blob.size, true);
+    header.setUint32(22, blob.size, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true); // central directory signature
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, day, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, blob.size, true);
+    entry.setUint32(24, blob.size, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true); // local header offset, other fields stay 0
+
+    parts.push(header, nameBytes, blob);
+    centralDirectory.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + blob.size;
+  };
+
+  const finish = () => {
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+    const fileCount = centralDirectory.length / 2;
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, fileCount, true);
+    end.setUint16(10, fileCount, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+  };
+
+  return { addFile, finish };
+};
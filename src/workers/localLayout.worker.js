@@ -0,0 +1,27 @@
+import { renderLayout } from '../utils/layoutRenderer';
+import { encodeCanvas } from '../utils/outputFormat';
+import { loadOrientedImage } from '../utils/imageOrientation';
+
+// Renders a full-resolution layout off the main thread
+self.onmessage = async (e) => {
+  const { files, geometry, options } = e.data;
+  const images = [];
+
+  try {
+    // One at a time, all sources are held until the layout is drawn
+    for (const file of files) {
+      images.push(await loadOrientedImage(file));
+    }
+
+    const canvas = new OffscreenCanvas(options.width, options.height);
+    renderLayout(canvas.getContext('2d'), geometry, images, options.background);
+    images.forEach((img) => img.close());
+    images.length = 0;
+
+    const blob = await encodeCanvas(canvas, options.output);
+    self.postMessage({ blob, width: options.width, height: options.height });
+  } catch (error) {
+    images.forEach((img) => img.close());
+    self.postMessage({ error: error.message || 'Failed to render layout locally' });
+  }
+};
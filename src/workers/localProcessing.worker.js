@@ -0,0 +1,23 @@
+import { drawPaddedImage } from '../utils/imagePreview';
+import { calculatePaddedCanvas } from '../utils/geometry';
+import { encodeCanvas } from '../utils/outputFormat';
+import { loadOrientedImage } from '../utils/imageOrientation';
+
+// Renders the full-resolution padded image off the main thread
+self.onmessage = async (e) => {
+  const { file, options } = e.data;
+
+  try {
+    const bitmap = await loadOrientedImage(file);
+    const geometry = calculatePaddedCanvas(bitmap.width, bitmap.height, options);
+
+    const canvas = new OffscreenCanvas(geometry.canvasWidth, geometry.canvasHeight);
+    drawPaddedImage(canvas.getContext('2d'), bitmap, geometry, options.background);
+    bitmap.close();
+
+    const blob = await encodeCanvas(canvas, options.output);
+    self.postMessage({ blob, width: geometry.canvasWidth, height: geometry.canvasHeight });
+  } catch (error) {
+    self.postMessage({ error: error.message || 'Failed to process image locally' });
+  }
+};